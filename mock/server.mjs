@@ -0,0 +1,695 @@
+// Local mock of the TakeMate REST + socket API, for offline development and testing.
+//
+//   npm install    once, for socket.io
+//   node mock/server.mjs [--port=4000] [--scenario=<name>] [--delay=<ms>]
+//
+// --port=0 picks a free port; the URL printed at startup has the real one.
+//
+// Serves the client too: open http://localhost:4000/?env=mock in two tabs, log in as a
+// test user in one and a test staff member in the other. Any phone number works, the OTP is 123456.
+// The socket.io client script the page loads (/socket.io/socket.io.js) comes from the socket.io server.
+//
+// Scenarios (also switchable at runtime: POST /mock/scenario {"name": "reject", "delayMs": 3000}):
+//   normal        calls are relayed between the two tabs untouched
+//   staff-busy    /calls/initiate always answers "staff busy"
+//   reject        the server rejects every call on the staff member's behalf after delayMs
+//   force-end     the server force-ends connected calls after delayMs
+//   disconnect    the caller's socket is dropped delayMs after the call connects
+//   low-balance   callers start with two minutes of balance, so cost warnings and the
+//                 out-of-balance force-end happen quickly
+//   lossy         the first copy of every signaling message is dropped unacknowledged,
+//                 so only the client's retries get through
+import { createHmac, randomBytes, randomUUID } from 'node:crypto';
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { extname, join, normalize, resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Server } from 'socket.io';
+import { TURN_CREDENTIALS_PATH, handleTurnCredentials, setCorsHeaders } from './turn-credentials.mjs';
+
+const ROOT_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const JWT_SECRET = 'takemate-mock-secret';
+const TEST_OTP = '123456';
+const TOKEN_TTL = Number(process.env.MOCK_TOKEN_TTL) || 3600;
+const DEFAULT_BALANCE = 500;
+const LOW_BALANCE_MINUTES = 2;
+const COST_UPDATE_INTERVAL = 5000;
+const RECONNECT_GRACE = 15000;
+const SEEN_MESSAGE_LIMIT = 5000;
+const CALL_MODES = ['audio', 'video'];
+const MAX_ACTIVE_CALLS_PER_STAFF = 5; // the client queues callers itself and answers busy when its queue is full
+
+const args = Object.fromEntries(process.argv.slice(2)
+    .filter(arg => arg.startsWith('--'))
+    .map(arg => arg.slice(2).split('=')));
+const PORT = Number(args.port ?? process.env.PORT ?? 4000);
+
+export const SCENARIOS = ['normal', 'staff-busy', 'reject', 'force-end', 'disconnect', 'low-balance', 'lossy'];
+let scenario = { name: args.scenario || 'normal', delayMs: Number(args.delay) || 5000 };
+
+// --- Seed data (phones match TEST_USERS in config.js) ---
+
+const users = new Map();
+const staffMembers = new Map();
+
+function addUser(user) {
+    users.set(user.id, { balance: DEFAULT_BALANCE, ...user });
+}
+
+addUser({ id: 'user-1', phone: '+919876543210', name: 'User1', role: 'USER' });
+addUser({ id: 'user-2', phone: '+919876543271', name: 'User2', role: 'USER' });
+addUser({ id: 'user-staff-1', phone: '+919876543220', name: 'Staff1', role: 'STAFF', staffId: 'staff-1' });
+addUser({ id: 'user-staff-2', phone: '+919876543221', name: 'Staff2', role: 'STAFF', staffId: 'staff-2' });
+
+// ratePerMinute is per call mode: audio calls are cheaper
+staffMembers.set('staff-1', { id: 'staff-1', userId: 'user-staff-1', name: 'Staff1', ratings: 4.8, ratePerMinute: { audio: 6, video: 10 } });
+staffMembers.set('staff-2', { id: 'staff-2', userId: 'user-staff-2', name: 'Staff2', ratings: 4.5, ratePerMinute: { audio: 9, video: 15 } });
+
+const refreshTokens = new Map();
+const calls = new Map();
+const disconnectTimers = new Map();
+const seenMessageIds = new Set();
+const droppedMessageIds = new Set();
+
+function findUserByPhone(phone) {
+    return [...users.values()].find(user => user.phone === phone);
+}
+
+function findStaffByUserId(userId) {
+    return [...staffMembers.values()].find(staff => staff.userId === userId);
+}
+
+// --- Tokens ---
+
+function base64url(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function signToken(user) {
+    const header = base64url({ alg: 'HS256', typ: 'JWT' });
+    const payload = base64url({
+        id: user.id,
+        role: user.role,
+        isStaff: user.role === 'STAFF',
+        staffId: user.staffId,
+        exp: Math.floor(Date.now() / 1000) + TOKEN_TTL
+    });
+    const signature = createHmac('sha256', JWT_SECRET).update(`${header}.${payload}`).digest('base64url');
+    return `${header}.${payload}.${signature}`;
+}
+
+function verifyToken(token) {
+    if (!token) return null;
+    const [header, payload, signature] = token.split('.');
+    const expected = createHmac('sha256', JWT_SECRET).update(`${header}.${payload}`).digest('base64url');
+    if (signature !== expected) return null;
+
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (claims.exp * 1000 < Date.now()) return null;
+    return users.get(claims.id) || null;
+}
+
+function issueSession(user) {
+    const refreshToken = randomBytes(24).toString('base64url');
+    refreshTokens.set(refreshToken, user.id);
+    return {
+        token: signToken(user),
+        refreshToken,
+        user: { id: user.id, name: user.name, phone: user.phone, role: user.role }
+    };
+}
+
+// --- HTTP helpers ---
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+async function readJson(req) {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    try {
+        return raw ? JSON.parse(raw) : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function authenticateRequest(req) {
+    return verifyToken((req.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+}
+
+const STATIC_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.mp3': 'audio/mpeg'
+};
+
+async function serveStatic(res, pathname) {
+    const relativePath = pathname === '/' ? 'index.html' : pathname.slice(1);
+    const filePath = normalize(join(ROOT_DIR, relativePath));
+
+    // Only the page and its assets, never the mock sources or anything outside the repo
+    if (filePath !== join(ROOT_DIR, 'index.html') && !filePath.startsWith(join(ROOT_DIR, 'public'))) {
+        sendJson(res, 404, { success: false, message: 'Not found' });
+        return;
+    }
+
+    try {
+        const content = await readFile(filePath);
+        res.writeHead(200, { 'Content-Type': STATIC_TYPES[extname(filePath)] || 'application/octet-stream' });
+        res.end(content);
+    } catch (e) {
+        sendJson(res, 404, { success: false, message: 'Not found' });
+    }
+}
+
+// --- REST routes ---
+
+const routes = {
+    'POST /api/v1/auth/login': async (req, res) => {
+        const { phone } = await readJson(req);
+        if (!/^\+\d{8,15}$/.test(phone || '')) {
+            sendJson(res, 400, { success: false, message: 'Invalid phone number' });
+            return;
+        }
+        if (!findUserByPhone(phone)) {
+            const id = `user-${randomUUID().slice(0, 8)}`;
+            addUser({ id, phone, name: `User ${phone.slice(-4)}`, role: 'USER' });
+            console.log(`👤 Registered new mock user ${id} for ${phone}`);
+        }
+        console.log(`📨 OTP for ${phone} is ${TEST_OTP}`);
+        sendJson(res, 200, { success: true, message: 'OTP sent' });
+    },
+
+    'POST /api/v1/auth/login-with-otp': async (req, res) => {
+        const { phone, otp } = await readJson(req);
+        const user = findUserByPhone(phone);
+        if (!user) {
+            sendJson(res, 404, { success: false, message: 'Request an OTP first' });
+            return;
+        }
+        if (otp !== TEST_OTP) {
+            sendJson(res, 401, { success: false, message: 'Invalid OTP' });
+            return;
+        }
+        sendJson(res, 200, { success: true, data: issueSession(user) });
+    },
+
+    'POST /api/v1/auth/refresh-token': async (req, res) => {
+        const { refreshToken } = await readJson(req);
+        const userId = refreshTokens.get(refreshToken);
+        if (!userId) {
+            sendJson(res, 401, { success: false, message: 'Invalid refresh token' });
+            return;
+        }
+        refreshTokens.delete(refreshToken);
+        sendJson(res, 200, { success: true, data: issueSession(users.get(userId)) });
+    },
+
+    'POST /api/v1/auth/logout': async (req, res) => {
+        const { refreshToken } = await readJson(req);
+        refreshTokens.delete(refreshToken);
+        sendJson(res, 200, { success: true });
+    },
+
+    [`GET ${TURN_CREDENTIALS_PATH}`]: async (req, res) => {
+        handleTurnCredentials(req, res);
+    },
+
+    'POST /api/v1/calls/initiate': async (req, res) => {
+        const caller = authenticateRequest(req);
+        if (!caller) {
+            sendJson(res, 401, { success: false, message: 'Unauthorized' });
+            return;
+        }
+
+        const { staffId, mode = 'video' } = await readJson(req);
+        const staff = staffMembers.get(staffId);
+        if (!staff) {
+            sendJson(res, 404, { success: false, message: 'Staff not found' });
+            return;
+        }
+        if (scenario.name === 'staff-busy' || countActiveCalls(staff.userId) >= MAX_ACTIVE_CALLS_PER_STAFF) {
+            sendJson(res, 409, { success: false, staffBusy: true, message: `${staff.name} is busy` });
+            return;
+        }
+        if (!isUserOnline(staff.userId)) {
+            sendJson(res, 409, { success: false, message: `${staff.name} is offline` });
+            return;
+        }
+
+        if (!CALL_MODES.includes(mode)) {
+            sendJson(res, 400, { success: false, message: `Unknown call mode: ${mode}` });
+            return;
+        }
+
+        const call = createCall(caller, staff, mode);
+        sendJson(res, 200, { success: true, data: { call: serializeCall(call) } });
+        ringStaff(call);
+    },
+
+    'GET /mock/scenario': async (req, res) => {
+        sendJson(res, 200, { success: true, data: { ...scenario, available: SCENARIOS } });
+    },
+
+    'POST /mock/scenario': async (req, res) => {
+        const body = await readJson(req);
+        if (!SCENARIOS.includes(body.name)) {
+            sendJson(res, 400, { success: false, message: `Unknown scenario, use one of: ${SCENARIOS.join(', ')}` });
+            return;
+        }
+        scenario = { name: body.name, delayMs: Number(body.delayMs) || scenario.delayMs };
+        console.log('🎬 Scenario set to', scenario);
+        sendJson(res, 200, { success: true, data: scenario });
+    }
+};
+
+// --- Calls ---
+
+function createCall(caller, staff, mode) {
+    const call = {
+        id: `call-${randomUUID().slice(0, 8)}`,
+        userId: caller.id,
+        staffId: staff.id,
+        staffUserId: staff.userId,
+        mode,
+        ratePerMinute: staff.ratePerMinute[mode],
+        status: 'RINGING',
+        createdAt: Date.now(),
+        startTime: null,
+        billedCost: 0,      // cost up to billedUntil, so a mid-call rate change isn't applied retroactively
+        billedUntil: null,
+        costWarningSent: false,
+        timers: []
+    };
+    if (scenario.name === 'low-balance') {
+        caller.balance = call.ratePerMinute * LOW_BALANCE_MINUTES;
+    }
+    calls.set(call.id, call);
+    console.log(`📞 ${call.id}: ${caller.name} → ${staff.name} (${mode})`);
+    broadcastStaffUpdate('staff-busy-status');
+    return call;
+}
+
+function serializeCall(call) {
+    return {
+        id: call.id,
+        userId: call.userId,
+        staffId: call.staffId,
+        staffUserId: call.staffUserId,
+        status: call.status,
+        mode: call.mode,
+        ratePerMinute: call.ratePerMinute,
+        startTime: call.startTime
+    };
+}
+
+function isActive(call) {
+    return call && !['ENDED', 'REJECTED', 'CANCELLED'].includes(call.status);
+}
+
+function isUserInCall(userId) {
+    return [...calls.values()].some(call => isActive(call) && (call.userId === userId || call.staffUserId === userId));
+}
+
+function countActiveCalls(userId) {
+    return [...calls.values()].filter(call => isActive(call) && call.staffUserId === userId).length;
+}
+
+function getCallCost(call) {
+    if (!call.startTime) return 0;
+    return call.billedCost + (Date.now() - call.billedUntil) / 60000 * call.ratePerMinute;
+}
+
+// Audio call upgraded to video: bill the rest of the call at the video rate
+function upgradeToVideo(call) {
+    if (call.mode === 'video') return;
+    const staff = staffMembers.get(call.staffId);
+    if (call.startTime) {
+        call.billedCost = getCallCost(call);
+        call.billedUntil = Date.now();
+    }
+    call.mode = 'video';
+    call.ratePerMinute = staff.ratePerMinute.video;
+    console.log(`📹 ${call.id} upgraded to video at ${call.ratePerMinute} coins/min`);
+}
+
+function ringStaff(call) {
+    const caller = users.get(call.userId);
+    emitToUser(call.staffUserId, 'incoming-call', {
+        callId: call.id,
+        caller: { id: caller.id, name: caller.name },
+        staffUserId: call.staffUserId,
+        callDetails: { mode: call.mode, ratePerMinute: call.ratePerMinute }
+    });
+
+    if (scenario.name === 'reject') {
+        schedule(call, scenario.delayMs, () => {
+            if (call.status !== 'RINGING') return;
+            const staff = users.get(call.staffUserId);
+            finishCall(call, 'REJECTED');
+            emitToUser(call.userId, 'call-rejected', { callId: call.id, rejectedByName: staff.name, reason: 'Staff is not available right now' });
+            emitToUser(call.staffUserId, 'call-force-ended', { callId: call.id, reason: 'Rejected by mock scenario' });
+        });
+    }
+}
+
+function startCall(call) {
+    if (call.status === 'CONNECTED') return;
+    call.status = 'CONNECTED';
+    call.startTime = Date.now();
+    call.billedUntil = call.startTime;
+    emitToCall(call, 'call-started', { callId: call.id, startTime: new Date(call.startTime).toISOString() });
+    console.log(`✅ ${call.id} connected`);
+
+    const caller = users.get(call.userId);
+    const costTimer = setInterval(() => {
+        const cost = getCallCost(call);
+        const remaining = caller.balance - cost;
+        emitToCall(call, 'call-cost-update', {
+            callId: call.id,
+            cost: Number(cost.toFixed(2)),
+            duration: Math.floor((Date.now() - call.startTime) / 1000)
+        });
+
+        if (!call.costWarningSent && remaining < call.ratePerMinute) {
+            call.costWarningSent = true;
+            emitToUser(call.userId, 'call-cost-warning', {
+                callId: call.id,
+                message: 'Less than a minute of balance left',
+                remainingBalance: Number(remaining.toFixed(2))
+            });
+        }
+        if (remaining <= 0) {
+            forceEnd(call, 'Insufficient balance');
+        }
+    }, COST_UPDATE_INTERVAL);
+    call.timers.push(costTimer);
+
+    if (scenario.name === 'force-end') {
+        schedule(call, scenario.delayMs, () => forceEnd(call, 'Ended by mock scenario'));
+    } else if (scenario.name === 'disconnect') {
+        schedule(call, scenario.delayMs, () => {
+            console.log(`🔌 Dropping ${caller.name}'s connection for ${call.id}`);
+            // Closing the transport, not the socket, looks like a network drop: the client reconnects
+            getUserSockets(call.userId).forEach(socket => socket.conn.close());
+        });
+    }
+}
+
+function forceEnd(call, reason) {
+    if (!isActive(call)) return;
+    const summary = finishCall(call, 'ENDED');
+    emitToCall(call, 'call-force-ended', { callId: call.id, reason });
+    emitToCall(call, 'call-ended', summary);
+}
+
+function finishCall(call, status) {
+    call.status = status;
+    call.timers.forEach(timer => {
+        clearTimeout(timer);
+        clearInterval(timer);
+    });
+    call.timers = [];
+
+    const cost = getCallCost(call);
+    const caller = users.get(call.userId);
+    caller.balance = Math.max(caller.balance - cost, 0);
+    broadcastStaffUpdate('staff-available-status');
+    console.log(`🛑 ${call.id} ${status.toLowerCase()}`);
+
+    return {
+        callId: call.id,
+        duration: call.startTime ? Math.floor((Date.now() - call.startTime) / 1000) : 0,
+        cost: Number(cost.toFixed(2))
+    };
+}
+
+function schedule(call, delay, callback) {
+    call.timers.push(setTimeout(callback, delay));
+}
+
+// --- Socket plumbing ---
+
+const httpServer = createServer(async (req, res) => {
+    setCorsHeaders(req, res);
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+    const route = routes[`${req.method} ${pathname}`];
+    try {
+        if (route) {
+            await route(req, res);
+        } else if (req.method === 'GET') {
+            await serveStatic(res, pathname);
+        } else {
+            sendJson(res, 404, { success: false, message: 'Not found' });
+        }
+    } catch (error) {
+        console.error(`❌ ${req.method} ${pathname} failed:`, error);
+        sendJson(res, 500, { success: false, message: 'Mock server error' });
+    }
+});
+
+// Handles /socket.io/ itself (the transports and the client script) before the routes above see it
+const io = new Server(httpServer, {
+    cors: { origin: true, credentials: true }
+});
+
+// The client sends its JWT in the handshake; the socket carries the user it belongs to
+io.use((socket, next) => {
+    const user = verifyToken(socket.handshake.auth?.token || socket.handshake.query.token);
+    if (!user) {
+        next(new Error('Authentication error'));
+        return;
+    }
+    socket.data = user;
+    next();
+});
+
+function getUserSockets(userId) {
+    return [...io.of('/').sockets.values()].filter(socket => socket.data.id === userId);
+}
+
+function isUserOnline(userId) {
+    return getUserSockets(userId).some(socket => socket.data.online !== false);
+}
+
+function emitToUser(userId, event, payload) {
+    getUserSockets(userId).forEach(socket => socket.emit(event, payload));
+}
+
+// The same account's other tabs/devices
+function emitToOtherSockets(socket, event, payload) {
+    getUserSockets(socket.data.id)
+        .filter(other => other !== socket)
+        .forEach(other => other.emit(event, payload));
+}
+
+function emitToCall(call, event, payload) {
+    emitToUser(call.userId, event, payload);
+    emitToUser(call.staffUserId, event, payload);
+}
+
+function getStaffList() {
+    return [...staffMembers.values()].map(staff => ({
+        id: staff.id,
+        userId: staff.userId,
+        name: staff.name,
+        ratings: staff.ratings,
+        pricing: `${staff.ratePerMinute.video} coins/min`,
+        pricingByMode: {
+            audio: `${staff.ratePerMinute.audio} coins/min`,
+            video: `${staff.ratePerMinute.video} coins/min`
+        },
+        status: isUserOnline(staff.userId) ? 'online' : 'offline',
+        busy: isUserInCall(staff.userId)
+    }));
+}
+
+function broadcastStaffUpdate(type) {
+    io.to('staff-updates').emit('staff-update', { type, timestamp: new Date().toISOString() });
+}
+
+function rememberMessageId(set, messageId) {
+    set.add(messageId);
+    if (set.size > SEEN_MESSAGE_LIMIT) {
+        set.delete(set.values().next().value);
+    }
+}
+
+// Signaling handlers return an error message (or nothing) and are acked either way.
+// A repeated messageId is a client retry whose ack got lost: ack it again, don't apply it twice.
+function signal(handler) {
+    return (data = {}, ack = () => {}) => {
+        const { messageId } = data;
+        if (messageId && seenMessageIds.has(messageId)) {
+            ack({ success: true, duplicate: true });
+            return;
+        }
+        if (messageId && scenario.name === 'lossy' && !droppedMessageIds.has(messageId)) {
+            rememberMessageId(droppedMessageIds, messageId);
+            console.log(`🕳️ Dropping first copy of ${messageId}`);
+            return;
+        }
+
+        const error = handler(data);
+        if (error) {
+            ack({ success: false, message: error });
+            return;
+        }
+        if (messageId) rememberMessageId(seenMessageIds, messageId);
+        ack({ success: true });
+    };
+}
+
+// Forward signaling to the other party, stamping who it came from
+function relay(socket, event, data) {
+    const call = calls.get(data.callId);
+    if (!isActive(call)) {
+        return 'Call not found or already ended';
+    }
+    const user = socket.data;
+    const targetUserId = user.id === call.userId ? call.staffUserId : call.userId;
+    emitToUser(targetUserId, event, { ...data, from: user.id, fromName: user.name });
+}
+
+io.on('connection', (socket) => {
+    const user = socket.data;
+    console.log(`🔌 ${user.name} (${user.role}) connected as ${socket.id}`);
+
+    // Back within the grace period: the call survives
+    if (disconnectTimers.has(user.id)) {
+        clearTimeout(disconnectTimers.get(user.id));
+        disconnectTimers.delete(user.id);
+    }
+    if (user.role === 'STAFF') {
+        broadcastStaffUpdate('staff-status-change');
+    }
+
+    socket.on('ping', () => {});
+    socket.on('debug-info', (info) => console.log(`🐛 ${user.name}:`, info));
+    socket.on('authenticate', ({ token } = {}) => {
+        console.log(verifyToken(token) ? `🔑 ${user.name} refreshed their token` : `⚠️ ${user.name} sent an invalid token`);
+    });
+
+    socket.on('staff-status-update', ({ status } = {}) => {
+        const online = status !== 'offline';
+        if (socket.data.online !== online) {
+            socket.data = { ...socket.data, online };
+            broadcastStaffUpdate('staff-status-change');
+        }
+    });
+    socket.on('subscribe-staff-updates', () => socket.join('staff-updates'));
+    socket.on('get-staff', () => {
+        socket.emit('staff-data', { success: true, data: { staff: getStaffList() } });
+    });
+
+    socket.on('join-call', ({ callId } = {}) => socket.join(`call:${callId}`));
+
+    // Reconnected clients ask whether their call survived; the ack is authoritative
+    socket.on('get-call-state', ({ callId } = {}, ack) => {
+        if (typeof ack !== 'function') return;
+        const call = calls.get(callId);
+        if (!call || (call.userId !== user.id && call.staffUserId !== user.id)) {
+            ack({ success: false, callId, active: false, message: 'Call not found' });
+            return;
+        }
+        ack({ success: true, callId, active: isActive(call), status: call.status });
+    });
+    socket.on('leave-call', ({ callId } = {}) => socket.leave(`call:${callId}`));
+
+    socket.on('offer', signal((data) => relay(socket, 'offer', data)));
+    socket.on('answer', signal((data) => relay(socket, 'answer', data)));
+    socket.on('ice-candidate', signal((data) => relay(socket, 'ice-candidate', data)));
+    socket.on('media-source', signal((data) => relay(socket, 'media-source', data)));
+    socket.on('video-upgrade-request', signal((data) => relay(socket, 'video-upgrade-request', data)));
+    socket.on('video-upgrade-response', signal((data) => {
+        const error = relay(socket, 'video-upgrade-response', data);
+        if (!error && data.accepted) {
+            upgradeToVideo(calls.get(data.callId));
+        }
+        return error;
+    }));
+
+    // The client emits this as a fallback after accepting; echo it back so its handler runs
+    socket.on('process-pending-offer', (data) => socket.emit('process-pending-offer', data));
+
+    socket.on('call-accept', signal(({ callId }) => {
+        const call = calls.get(callId);
+        if (!call || call.staffUserId !== user.id) return 'Call not found';
+        if (call.status !== 'RINGING') return `Call is ${call.status.toLowerCase()}`;
+        call.status = 'ACCEPTED';
+        emitToUser(call.userId, 'call-accepted', { callId, acceptedBy: user.id, acceptedByName: user.name });
+        emitToOtherSockets(socket, 'call-handled-elsewhere', { callId, action: 'accepted' });
+    }));
+
+    socket.on('call-reject', signal(({ callId, reason }) => {
+        const call = calls.get(callId);
+        if (!isActive(call) || call.staffUserId !== user.id) return 'Call not found or already ended';
+        finishCall(call, 'REJECTED');
+        emitToUser(call.userId, 'call-rejected', { callId, rejectedByName: user.name, reason: reason || 'Call rejected' });
+        emitToOtherSockets(socket, 'call-handled-elsewhere', { callId, action: 'rejected' });
+    }));
+
+    // Caller hung up (or gave up) before the call was answered
+    socket.on('call-cancel', signal(({ callId, reason }) => {
+        const call = calls.get(callId);
+        if (!isActive(call) || call.userId !== user.id) return 'Call not found or already ended';
+        if (call.status === 'CONNECTED') return 'Call already connected, end it instead';
+        finishCall(call, 'CANCELLED');
+        emitToUser(call.staffUserId, 'call-cancelled', { callId, cancelledByName: user.name, reason: reason || 'cancelled' });
+    }));
+
+    // Staff is on another call: tell the caller where they are in the queue
+    socket.on('call-waiting', signal(({ callId, position }) => {
+        const call = calls.get(callId);
+        if (!isActive(call) || call.staffUserId !== user.id) return 'Call not found or already ended';
+        emitToUser(call.userId, 'call-queued', { callId, position });
+    }));
+
+    socket.on('call-start', signal(({ callId }) => {
+        const call = calls.get(callId);
+        if (!isActive(call)) return 'Call not found or already ended';
+        startCall(call);
+    }));
+
+    socket.on('call-end', signal(({ callId }) => {
+        const call = calls.get(callId);
+        if (!isActive(call)) return 'Call not found or already ended';
+        emitToCall(call, 'call-ended', finishCall(call, 'ENDED'));
+    }));
+
+    socket.on('disconnect', (reason) => {
+        console.log(`🔌 ${user.name} disconnected (${reason})`);
+        if (user.role === 'STAFF') {
+            broadcastStaffUpdate('staff-status-change');
+        }
+        if (getUserSockets(user.id).length > 0) return;
+
+        // Give the client a chance to reconnect before tearing its call down
+        const activeCall = [...calls.values()].find(call => isActive(call) && (call.userId === user.id || call.staffUserId === user.id));
+        if (!activeCall) return;
+        disconnectTimers.set(user.id, setTimeout(() => {
+            disconnectTimers.delete(user.id);
+            if (!isActive(activeCall) || getUserSockets(user.id).length > 0) return;
+            const otherUserId = activeCall.userId === user.id ? activeCall.staffUserId : activeCall.userId;
+            finishCall(activeCall, 'ENDED');
+            emitToUser(otherUserId, 'user-disconnected', { callId: activeCall.id, disconnectedUserName: user.name });
+        }, RECONNECT_GRACE));
+    });
+});
+
+httpServer.listen(PORT, () => {
+    const { port } = httpServer.address();
+    console.log(`🧪 TakeMate mock backend on http://localhost:${port}/?env=mock`);
+    console.log(`🎬 Scenario: ${scenario.name} (delay ${scenario.delayMs}ms)`);
+});
@@ -0,0 +1,79 @@
+// Local stand-in for the TURN credentials endpoint (REST API for TURN / coturn "use-auth-secret").
+//
+//   TURN_SECRET=dev-secret TURN_TTL=120 node mock/turn-credentials.mjs
+//
+// Then open the client with ?env=mock. Point a local coturn at the same secret
+// (static-auth-secret=dev-secret) to exercise real relay candidates.
+import { createHmac } from 'node:crypto';
+import { createServer } from 'node:http';
+import { pathToFileURL } from 'node:url';
+
+const TURN_SECRET = process.env.TURN_SECRET || 'takemate-dev-secret';
+const TURN_TTL = Number(process.env.TURN_TTL) || 3600;
+const TURN_URIS = (process.env.TURN_URIS || 'turn:localhost:3478?transport=udp,turn:localhost:3478?transport=tcp')
+    .split(',')
+    .map(uri => uri.trim())
+    .filter(Boolean);
+
+export const TURN_CREDENTIALS_PATH = '/api/v1/webrtc/turn-credentials';
+
+export function createTurnCredentials(userId, ttl = TURN_TTL) {
+    const expiry = Math.floor(Date.now() / 1000) + ttl;
+    const username = `${expiry}:${userId}`;
+    const password = createHmac('sha1', TURN_SECRET).update(username).digest('base64');
+
+    return { username, password, ttl, uris: TURN_URIS };
+}
+
+// Best effort: the stand-in does not verify tokens, it only needs a stable id for the username
+export function userIdFromAuthHeader(authHeader) {
+    const token = (authHeader || '').replace(/^Bearer\s+/i, '');
+    try {
+        const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+        return payload.id || payload.userId || payload.sub || 'anonymous';
+    } catch (e) {
+        return 'anonymous';
+    }
+}
+
+export function handleTurnCredentials(req, res) {
+    const userId = userIdFromAuthHeader(req.headers.authorization);
+    const credentials = createTurnCredentials(userId);
+    console.log(`🔑 Issued TURN credentials for ${userId}, ttl ${credentials.ttl}s`);
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, data: credentials }));
+}
+
+export function setCorsHeaders(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+}
+
+function startStandaloneServer(port) {
+    const server = createServer((req, res) => {
+        setCorsHeaders(req, res);
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+        if (req.method === 'GET' && req.url.split('?')[0] === TURN_CREDENTIALS_PATH) {
+            handleTurnCredentials(req, res);
+            return;
+        }
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, message: 'Not found' }));
+    });
+
+    server.listen(port, () => {
+        console.log(`🔑 TURN credentials stand-in listening on http://localhost:${port}${TURN_CREDENTIALS_PATH}`);
+    });
+    return server;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    startStandaloneServer(Number(process.env.PORT) || 4000);
+}
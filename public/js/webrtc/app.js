@@ -0,0 +1,156 @@
+import { CallClient } from './call-client.js';
+import { initializeLoginForm, resetLoginForm } from './login.js';
+import { testAudio } from './webrtc.js';
+import {
+    showStatus, showEnvironment, showSession, renderCallState, renderConnectionState, renderMediaState,
+    renderStaffList, renderCallQueue, renderDevices, renderQuality, renderBackground, setAudioOutput, renderScreenShareState,
+    renderRemoteMediaSource, renderCallMode, renderVideoUpgrade, attachLocalStream, attachRemoteStream, updateCallCost,
+    getSelectedStaffId, getSelectedCallMode
+} from './ui.js';
+import { ENV_PROFILES, getActiveProfile, setActiveProfile } from './config.js';
+import { supportsBackgroundEffects } from './background.js';
+
+// The test page: renders CallClient events into index.html and wires its controls back to the client
+const client = new CallClient();
+let screenShareStream = null;
+let backgroundStream = null;
+const backgroundImageUrls = new Set(); // blob: URLs of picked images, revoked once another effect replaces them
+
+// What the local preview should show: a shared screen, else the camera with its background effect, else the camera
+function showLocalPreview() {
+    const { screenSharing, localStream } = client.getState();
+    attachLocalStream(screenSharing ? screenShareStream : backgroundStream || localStream);
+}
+
+client.on('status', ({ message, isError }) => showStatus(message, isError));
+client.on('session', ({ loggedIn, userInfo }) => {
+    showSession(loggedIn, userInfo);
+    if (!loggedIn) resetLoginForm();
+});
+client.on('state', renderCallState);
+client.on('staff', ({ staff }) => renderStaffList(staff));
+client.on('queue', ({ calls }) => renderCallQueue(calls, callId => client.accept(callId), callId => client.reject(callId)));
+client.on('localStream', () => showLocalPreview());
+client.on('remoteStream', ({ stream }) => attachRemoteStream(stream));
+client.on('media', renderMediaState);
+client.on('screenShare', ({ sharing, stream }) => {
+    renderScreenShareState(sharing);
+    screenShareStream = sharing ? stream : null;
+    showLocalPreview();
+});
+client.on('background', (background) => {
+    renderBackground(background, supportsBackgroundEffects());
+    backgroundStream = background.stream;
+    // The active image is loaded again for every new camera, so only the ones no longer in use can go
+    backgroundImageUrls.forEach(url => {
+        if (url !== background.effect.imageUrl) {
+            URL.revokeObjectURL(url);
+            backgroundImageUrls.delete(url);
+        }
+    });
+    showLocalPreview();
+});
+client.on('remoteMediaSource', ({ source }) => renderRemoteMediaSource(source));
+client.on('callMode', ({ mode }) => renderCallMode(mode));
+client.on('videoUpgrade', renderVideoUpgrade);
+client.on('quality', renderQuality);
+client.on('devices', (deviceState) => {
+    renderDevices(deviceState);
+    setAudioOutput(deviceState.selected.audiooutput);
+});
+client.on('connection', ({ iceConnectionState }) => renderConnectionState(iceConnectionState));
+client.on('cost', ({ cost }) => {
+    if (typeof cost === 'number') updateCallCost(cost);
+});
+
+// Show the active environment and let the tester switch it
+showEnvironment(getActiveProfile(), ENV_PROFILES);
+document.getElementById('envSelect').addEventListener('change', (event) => {
+    setActiveProfile(event.target.value);
+});
+
+initializeLoginForm(client);
+
+document.getElementById('logoutBtn').addEventListener('click', () => client.logout());
+
+// Media control buttons
+document.getElementById('muteBtn').addEventListener('click', () => {
+    client.mute(client.getState().media.audioEnabled);
+});
+document.getElementById('videoBtn').addEventListener('click', () => {
+    client.setVideo(!client.getState().media.videoEnabled);
+});
+renderScreenShareState(false, !!navigator.mediaDevices?.getDisplayMedia);
+document.getElementById('screenShareBtn').addEventListener('click', () => {
+    if (client.getState().screenSharing) {
+        client.stopScreenShare();
+    } else {
+        client.startScreenShare();
+    }
+});
+
+// Device pickers
+[['audioInputSelect', 'audioinput'], ['videoInputSelect', 'videoinput'], ['audioOutputSelect', 'audiooutput']]
+    .forEach(([selectId, kind]) => {
+        document.getElementById(selectId).addEventListener('change', (event) => {
+            client.selectDevice(kind, event.target.value);
+        });
+    });
+
+document.getElementById('qualitySelect').addEventListener('change', (event) => {
+    client.setVideoQuality(event.target.value);
+});
+
+// Background effects; an image is picked from disk and applied once chosen
+renderBackground({ effect: client.getState().background }, supportsBackgroundEffects());
+const backgroundImageInput = document.getElementById('backgroundImageInput');
+document.getElementById('backgroundSelect').addEventListener('change', (event) => {
+    if (event.target.value === 'image') {
+        backgroundImageInput.click();
+        return;
+    }
+    client.setBackground({ type: event.target.value });
+});
+backgroundImageInput.addEventListener('change', () => {
+    const file = backgroundImageInput.files[0];
+    backgroundImageInput.value = '';
+    if (!file) {
+        renderBackground({ effect: client.getState().background });
+        return;
+    }
+    const imageUrl = URL.createObjectURL(file);
+    backgroundImageUrls.add(imageUrl);
+    client.setBackground({ type: 'image', imageUrl });
+});
+// Closing the file dialog leaves the select on the effect that is still active
+backgroundImageInput.addEventListener('cancel', () => {
+    renderBackground({ effect: client.getState().background });
+});
+
+// Call control buttons
+document.getElementById('startCallBtn').addEventListener('click', () => {
+    client.startCall(getSelectedStaffId(), { mode: getSelectedCallMode() });
+});
+document.getElementById('cancelCallBtn').addEventListener('click', () => client.cancel());
+document.getElementById('acceptCallBtn').addEventListener('click', () => client.accept());
+document.getElementById('rejectCallBtn').addEventListener('click', () => client.reject());
+document.getElementById('endCallBtn').addEventListener('click', () => client.end());
+document.getElementById('requestVideoBtn').addEventListener('click', () => client.requestVideo());
+document.getElementById('allowVideoBtn').addEventListener('click', () => client.respondToVideoRequest(true));
+document.getElementById('declineVideoBtn').addEventListener('click', () => client.respondToVideoRequest(false));
+
+// Remote video click handler for audio playback
+document.getElementById('remoteVideo').addEventListener('click', function() {
+    this.play().then(() => {
+        console.log('✅ Remote audio enabled via user interaction');
+    }).catch(error => {
+        console.error('❌ Failed to play remote audio:', error);
+    });
+});
+
+// Make testAudio and the client available globally for debugging
+window.testAudio = testAudio;
+window.callClient = client;
+
+// Pick up where we left off after a reload
+await client.restoreSession();
@@ -1,9 +1,21 @@
-import { API_BASE_URL } from './config.js';
-import { showStatus } from './ui.js';
+import { API_BASE_URL, TEST_USERS, TEST_OTP, TIMEOUTS, getActiveProfile } from './config.js';
+import { emit, notifyStatus, setCallState } from './events.js';
+import { reauthenticateSocket, disconnectSocket } from './socket.js';
+import { getCurrentCall, endCall, cleanup as cleanupWebRTC } from './webrtc.js';
+import { clearTurnCredentials } from './turn.js';
+
+// sessionStorage keeps the session across reloads but scoped to this tab and gone when it closes,
+// and the key is per environment so a staging token is never sent to production
+const SESSION_STORAGE_KEY = `takemate.session.${getActiveProfile().name}`;
+const REFRESH_RETRY_DELAY = 30000;
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
 
 let userToken = null;
+let refreshToken = null;
 let userId = null;
 let userRole = null;
+let tokenRefreshTimeout = null;
+let sessionGeneration = 0; // Bumped on every login/restore and logout, so late refresh responses can tell
 
 export function getUserInfo() {
     return {
@@ -13,99 +25,292 @@ export function getUserInfo() {
     };
 }
 
-export async function handleLogin() {
-    const userType = document.getElementById('userType').value;
-    
-    // Map user type to phone number
-    const phoneMap = {
-        'user1': '+919876543210',
-        'user2': '+919876543271',
-        'staff1': '+919876543220',
-        'staff2': '+919876543221'
-    };
-    
-    const phone = phoneMap[userType] || '+919876543210';
-    
+export function decodeToken(token) {
     try {
-        // First request OTP
-        showStatus('Requesting OTP...', false);
-        const otpResponse = await fetch(`${API_BASE_URL}/auth/login`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                phone
-            })
-        });
+        return JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    } catch (e) {
+        console.error('Error parsing token:', e);
+        return null;
+    }
+}
+
+function getTokenExpiry(token) {
+    const tokenData = decodeToken(token);
+    return tokenData && tokenData.exp ? tokenData.exp * 1000 : null;
+}
+
+function isTokenExpired(token) {
+    const expiresAt = getTokenExpiry(token);
+    return expiresAt !== null && expiresAt <= Date.now();
+}
 
-        const otpData = await otpResponse.json();
-        if (!otpData.success) {
-            throw new Error(otpData.message || 'Failed to request OTP');
+async function postJson(path, body, headers = {}) {
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...headers
+        },
+        body: JSON.stringify(body)
+    });
+
+    let data;
+    try {
+        data = await response.json();
+    } catch (e) {
+        data = { success: false, message: `Unexpected response from server (${response.status})` };
+    }
+    return { status: response.status, data };
+}
+
+// Step 1: ask the backend to send an OTP to the phone number (E.164, e.g. +919876543210)
+export async function requestOtp(phone) {
+    const { status, data } = await postJson('/auth/login', { phone });
+    if (!data.success) {
+        if (status === 429) {
+            throw new Error(data.message || 'Too many OTP requests. Please wait before trying again.');
         }
+        throw new Error(data.message || 'Failed to request OTP');
+    }
+    return data;
+}
 
-        // Then verify with hardcoded OTP
-        showStatus('Verifying OTP...', false);
-        const verifyResponse = await fetch(`${API_BASE_URL}/auth/login-with-otp`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                phone,
-                otp: '123456'
-            })
-        });
+// Step 2: exchange the OTP for a session; returns { success, userInfo } or { success: false, message }
+export async function verifyOtp(phone, otp) {
+    const { status, data } = await postJson('/auth/login-with-otp', { phone, otp });
+    if (!data.success) {
+        let message = data.message || 'Invalid OTP';
+        if (status === 429) {
+            message = data.message || 'Too many attempts. Please request a new OTP later.';
+        } else if (status === 410) {
+            message = data.message || 'OTP expired. Please request a new one.';
+        }
+        return { success: false, message, status };
+    }
 
-        const data = await verifyResponse.json();
-        if (data.success) {
-            userToken = data.data.token;
-            userId = data.data.user.id;
-            userRole = data.data.user.role;
-            
-            // Parse the JWT token to check the role
-            try {
-                const tokenData = JSON.parse(atob(userToken.split('.')[1]));
-                console.log('Token data:', tokenData);
-                // Use the role from the token as it's more authoritative
-                userRole = tokenData.role;
-                
-                // Fix: Keep userId as the User model ID (not Staff model ID)
-                // The backend expects staffUserId to be the User ID, not the Staff ID
-                // userId should always be the User._id regardless of role
-                console.log('User ID (User model):', userId);
-                if (tokenData.isStaff && tokenData.staffId) {
-                    console.log('Staff ID (Staff model):', tokenData.staffId);
-                    console.log('Note: Using User ID for socket authentication, Staff ID is for reference only');
-                }
-            } catch (e) {
-                console.error('Error parsing token:', e);
-            }
-
-            showStatus('Login successful!', false);
-            document.getElementById('loginSection').classList.add('hidden');
-            document.getElementById('callSection').classList.remove('hidden');
-            
-            // If user is not staff, show staff selection
-            if (userRole !== 'STAFF') {
-                document.getElementById('staffSelection').classList.remove('hidden');
-            }
-
-            return {
-                success: true,
-                userInfo: {
-                    token: userToken,
-                    id: userId,
-                    role: userRole
-                }
-            };
-        } else {
-            showStatus(data.message || 'Login failed', true);
-            return { success: false };
+    applySession({
+        token: data.data.token,
+        refreshToken: data.data.refreshToken || null,
+        userId: data.data.user.id,
+        role: data.data.user.role
+    });
+    persistSession();
+    scheduleTokenRefresh();
+
+    showCallSection();
+
+    return {
+        success: true,
+        userInfo: getUserInfo()
+    };
+}
+
+// Debug/mock profiles only: seeded accounts with the fixed development OTP
+export async function loginAsTestUser(userType) {
+    const testUser = TEST_USERS[userType];
+    if (!testUser) {
+        notifyStatus('Test users are not available in this environment', true);
+        return { success: false };
+    }
+
+    try {
+        notifyStatus('Requesting OTP...', false);
+        await requestOtp(testUser.phone);
+
+        notifyStatus('Verifying OTP...', false);
+        const result = await verifyOtp(testUser.phone, TEST_OTP);
+        if (!result.success) {
+            notifyStatus(result.message || 'Login failed', true);
         }
+        return result;
     } catch (error) {
         console.error('Login error:', error);
-        showStatus('Login failed: ' + error.message, true);
+        notifyStatus('Login failed: ' + error.message, true);
         return { success: false };
     }
 }
+
+function applySession(session) {
+    sessionGeneration++;
+    userToken = session.token;
+    refreshToken = session.refreshToken;
+    userId = session.userId;
+    userRole = session.role;
+
+    const tokenData = decodeToken(userToken);
+    if (tokenData) {
+        console.log('Token data:', tokenData);
+        // Use the role from the token as it's more authoritative
+        userRole = tokenData.role || userRole;
+
+        // Fix: Keep userId as the User model ID (not Staff model ID)
+        // The backend expects staffUserId to be the User ID, not the Staff ID
+        // userId should always be the User._id regardless of role
+        console.log('User ID (User model):', userId);
+        if (tokenData.isStaff && tokenData.staffId) {
+            console.log('Staff ID (Staff model):', tokenData.staffId);
+            console.log('Note: Using User ID for socket authentication, Staff ID is for reference only');
+        }
+    }
+}
+
+function persistSession() {
+    try {
+        sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({
+            token: userToken,
+            refreshToken,
+            userId,
+            role: userRole
+        }));
+    } catch (e) {
+        console.warn('⚠️ Could not persist session:', e);
+    }
+}
+
+export function clearSession() {
+    sessionGeneration++;
+    if (tokenRefreshTimeout) {
+        clearTimeout(tokenRefreshTimeout);
+        tokenRefreshTimeout = null;
+    }
+    try {
+        sessionStorage.removeItem(SESSION_STORAGE_KEY);
+    } catch (e) {
+        console.warn('⚠️ Could not clear stored session:', e);
+    }
+    userToken = null;
+    refreshToken = null;
+    userId = null;
+    userRole = null;
+}
+
+// Restore a session saved before reload; refreshes an expired token when possible
+export async function restoreSession() {
+    let stored = null;
+    try {
+        stored = JSON.parse(sessionStorage.getItem(SESSION_STORAGE_KEY));
+    } catch (e) {
+        console.warn('⚠️ Ignoring unreadable stored session:', e);
+    }
+    if (!stored || !stored.token) {
+        return { success: false };
+    }
+
+    applySession(stored);
+
+    if (isTokenExpired(userToken)) {
+        console.log('🔑 Stored token expired, trying to refresh...');
+        const refreshed = await refreshSession();
+        if (!refreshed) {
+            clearSession();
+            notifyStatus('Your session has expired. Please log in again.', true);
+            return { success: false };
+        }
+    } else {
+        scheduleTokenRefresh();
+    }
+
+    console.log('🔑 Session restored for', userId, userRole);
+    showCallSection();
+    return {
+        success: true,
+        userInfo: getUserInfo()
+    };
+}
+
+function scheduleTokenRefresh(delay) {
+    if (tokenRefreshTimeout) clearTimeout(tokenRefreshTimeout);
+
+    const untilExpiry = delay === undefined;
+    if (untilExpiry) {
+        const expiresAt = getTokenExpiry(userToken);
+        if (!expiresAt) return;
+        // setTimeout fires at once for delays past 2^31-1 ms (~24.8 days), so long-lived tokens wait in steps
+        delay = Math.min(Math.max(expiresAt - Date.now() - TIMEOUTS.tokenRefreshMargin, 0), MAX_TIMER_DELAY);
+    }
+    tokenRefreshTimeout = setTimeout(async () => {
+        const expiresAt = getTokenExpiry(userToken);
+        if (untilExpiry && expiresAt && expiresAt - Date.now() > TIMEOUTS.tokenRefreshMargin) {
+            scheduleTokenRefresh();
+            return;
+        }
+        const generation = sessionGeneration;
+        const refreshed = await refreshSession();
+        if (generation !== sessionGeneration) {
+            // Logged out or in again meanwhile; that session has its own timer
+            return;
+        }
+        if (!refreshed && userToken && !isTokenExpired(userToken)) {
+            // Still valid for a bit - try again before giving up
+            scheduleTokenRefresh(REFRESH_RETRY_DELAY);
+        } else if (!refreshed) {
+            notifyStatus('Your session has expired. Please log in again.', true);
+        }
+    }, delay);
+}
+
+export async function refreshSession() {
+    if (!refreshToken) {
+        console.warn('⚠️ No refresh token available');
+        return false;
+    }
+
+    const generation = sessionGeneration;
+    try {
+        const { data } = await postJson('/auth/refresh-token', { refreshToken }, {
+            'Authorization': `Bearer ${userToken}`
+        });
+        if (generation !== sessionGeneration) {
+            // Logout or a new login happened while this was in flight; its tokens are not ours to keep
+            console.log('🔑 Dropping token refresh for a session that has ended');
+            return false;
+        }
+        if (!data.success) {
+            throw new Error(data.message || 'Token refresh failed');
+        }
+
+        userToken = data.data.token;
+        refreshToken = data.data.refreshToken || refreshToken;
+        persistSession();
+        scheduleTokenRefresh();
+        console.log('🔑 Token refreshed, valid until', new Date(getTokenExpiry(userToken)).toISOString());
+
+        // Keep the live socket (and any active call on it) authenticated with the new token
+        reauthenticateSocket(userToken);
+        return true;
+    } catch (error) {
+        console.error('❌ Token refresh error:', error);
+        return false;
+    }
+}
+
+// End everything this session owns and go back to the login screen
+export async function logout() {
+    console.log('👋 Logging out...');
+
+    if (getCurrentCall()) {
+        endCall();
+    }
+
+    // Marks staff offline, removes staff listeners, clears ping/status intervals and disconnects
+    disconnectSocket();
+    cleanupWebRTC();
+    clearTurnCredentials();
+
+    // Best effort: let the backend revoke the refresh token, but never block logout on it
+    const token = userToken;
+    if (token) {
+        postJson('/auth/logout', { refreshToken }, { 'Authorization': `Bearer ${token}` })
+            .catch(error => console.warn('⚠️ Logout request failed:', error));
+    }
+    clearSession();
+
+    setCallState('idle');
+    emit('session', { loggedIn: false, userInfo: null });
+    notifyStatus('Logged out', false);
+}
+
+function showCallSection() {
+    notifyStatus('Login successful!', false);
+    emit('session', { loggedIn: true, userInfo: getUserInfo() });
+}
@@ -0,0 +1,219 @@
+// Background blur / replacement for the local camera: a canvas pipeline driven by CPU-only
+// person segmentation (MediaPipe, loaded from the CDN on first use).
+// The raw camera track stays the source; the pipeline produces a separate processed track.
+export const BACKGROUND_EFFECTS = ['none', 'blur', 'image'];
+
+const VISION_BASE_URL = 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.14';
+// Pinned model version (not .../latest/), like the tasks-vision package above
+const SEGMENTER_MODEL_URL = 'https://storage.googleapis.com/mediapipe-models/image_segmenter/selfie_segmenter/float16/1/selfie_segmenter.tflite';
+const OUTPUT_FPS = 15;
+const FRAME_BUDGET_MS = 1000 / OUTPUT_FPS;
+const BLUR_RADIUS_PX = 12;
+// Give up on the effect after this many consecutive ~2s windows over the frame budget
+const SLOW_WINDOW_FRAMES = 30;
+const SLOW_WINDOWS_LIMIT = 3;
+
+let segmenterPromise = null;
+let pipeline = null;
+let pipelineGeneration = 0;
+
+export function supportsBackgroundEffects() {
+    return typeof document !== 'undefined'
+        && typeof WebAssembly !== 'undefined'
+        && typeof HTMLCanvasElement !== 'undefined'
+        && 'captureStream' in HTMLCanvasElement.prototype;
+}
+
+function loadSegmenter() {
+    if (!segmenterPromise) {
+        segmenterPromise = (async () => {
+            console.log('🪄 Loading background segmentation model...');
+            const { FilesetResolver, ImageSegmenter } = await import(`${VISION_BASE_URL}/vision_bundle.mjs`);
+            const fileset = await FilesetResolver.forVisionTasks(`${VISION_BASE_URL}/wasm`);
+            return ImageSegmenter.createFromOptions(fileset, {
+                baseOptions: { modelAssetPath: SEGMENTER_MODEL_URL, delegate: 'CPU' },
+                runningMode: 'VIDEO',
+                outputCategoryMask: false,
+                outputConfidenceMasks: true
+            });
+        })().catch(error => {
+            // Let a later attempt retry the download
+            segmenterPromise = null;
+            throw error;
+        });
+    }
+    return segmenterPromise;
+}
+
+function loadImage(url) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error(`Could not load background image ${url}`));
+        image.src = url;
+    });
+}
+
+function createCanvas(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+// Start processing sourceTrack; resolves with the processed track, or null if superseded meanwhile.
+// effect: { type: 'blur' } or { type: 'image', imageUrl }. onSlow runs once if the device can't keep up.
+export async function startBackgroundEffect(sourceTrack, effect, onSlow) {
+    stopBackgroundEffect();
+    const generation = ++pipelineGeneration;
+
+    const segmenter = await loadSegmenter();
+    const backgroundImage = effect.type === 'image' ? await loadImage(effect.imageUrl) : null;
+    if (generation !== pipelineGeneration) return null;
+
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.srcObject = new MediaStream([sourceTrack]);
+    await video.play();
+    if (generation !== pipelineGeneration) {
+        video.srcObject = null;
+        return null;
+    }
+
+    const { width = 640, height = 360 } = sourceTrack.getSettings();
+    const output = createCanvas(width, height);
+    // captureStream needs a first frame to produce one
+    output.getContext('2d').drawImage(video, 0, 0, width, height);
+    const stream = output.captureStream(OUTPUT_FPS);
+
+    pipeline = {
+        effect,
+        segmenter,
+        backgroundImage,
+        video,
+        output,
+        person: createCanvas(width, height),
+        mask: createCanvas(width, height),
+        stream,
+        track: stream.getVideoTracks()[0],
+        timer: null,
+        frameTimes: [],
+        slowWindows: 0,
+        onSlow
+    };
+    scheduleFrame(pipeline, 0);
+    console.log(`🪄 Background ${effect.type} started`);
+    return pipeline.track;
+}
+
+// New camera (device switch): keep the processed track, change what feeds it
+export function setBackgroundSource(sourceTrack) {
+    if (!pipeline) return;
+    pipeline.video.srcObject = new MediaStream([sourceTrack]);
+    pipeline.video.play().catch(error => console.warn('⚠️ Background source did not start:', error));
+}
+
+export function getBackgroundTrack() {
+    return pipeline ? pipeline.track : null;
+}
+
+export function getBackgroundStream() {
+    return pipeline ? pipeline.stream : null;
+}
+
+// Stops the processed track only; the source camera belongs to the caller
+export function stopBackgroundEffect() {
+    pipelineGeneration++;
+    if (!pipeline) return;
+
+    clearTimeout(pipeline.timer);
+    pipeline.track.stop();
+    pipeline.video.srcObject = null;
+    console.log('🪄 Background effect stopped');
+    pipeline = null;
+}
+
+// setTimeout rather than requestAnimationFrame: rAF stops entirely in background tabs
+function scheduleFrame(current, delay) {
+    current.timer = setTimeout(() => {
+        if (pipeline !== current) return;
+        const started = performance.now();
+        try {
+            renderFrame(current, started);
+        } catch (error) {
+            console.error('❌ Background frame failed:', error);
+        }
+        const elapsed = performance.now() - started;
+        if (trackFrameTime(current, elapsed) || pipeline !== current) return;
+        scheduleFrame(current, Math.max(FRAME_BUDGET_MS - elapsed, 0));
+    }, delay);
+}
+
+function renderFrame(current, timestamp) {
+    const { video, output, person, mask } = current;
+    if (video.readyState < 2 || !video.videoWidth) return;
+
+    const width = video.videoWidth;
+    const height = video.videoHeight;
+    if (output.width !== width || output.height !== height) {
+        output.width = person.width = width;
+        output.height = person.height = height;
+    }
+
+    // Confidence mask (0..1 per pixel, 1 = person) into the alpha channel of the mask canvas
+    const result = current.segmenter.segmentForVideo(video, timestamp);
+    const confidence = result.confidenceMasks[0];
+    const values = confidence.getAsFloat32Array();
+    mask.width = confidence.width;
+    mask.height = confidence.height;
+    const maskContext = mask.getContext('2d');
+    const maskImage = maskContext.createImageData(confidence.width, confidence.height);
+    for (let i = 0; i < values.length; i++) {
+        maskImage.data[i * 4 + 3] = values[i] * 255;
+    }
+    maskContext.putImageData(maskImage, 0, 0);
+    result.close();
+
+    // Cut the person out of the frame
+    const personContext = person.getContext('2d');
+    personContext.globalCompositeOperation = 'copy';
+    personContext.drawImage(video, 0, 0, width, height);
+    personContext.globalCompositeOperation = 'destination-in';
+    personContext.drawImage(mask, 0, 0, width, height);
+
+    // Background, then the person on top
+    const context = output.getContext('2d');
+    if (current.effect.type === 'blur') {
+        context.filter = `blur(${BLUR_RADIUS_PX}px)`;
+        context.drawImage(video, 0, 0, width, height);
+        context.filter = 'none';
+    } else {
+        drawCover(context, current.backgroundImage, width, height);
+    }
+    context.drawImage(person, 0, 0);
+}
+
+// Scale the image to fill the frame, cropping the overflow (CSS object-fit: cover)
+function drawCover(context, image, width, height) {
+    const scale = Math.max(width / image.width, height / image.height);
+    const drawWidth = image.width * scale;
+    const drawHeight = image.height * scale;
+    context.drawImage(image, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+}
+
+// Returns true once the pipeline has been handed back as too slow
+function trackFrameTime(current, elapsed) {
+    current.frameTimes.push(elapsed);
+    if (current.frameTimes.length < SLOW_WINDOW_FRAMES) return false;
+
+    const average = current.frameTimes.reduce((total, time) => total + time, 0) / current.frameTimes.length;
+    current.frameTimes = [];
+    current.slowWindows = average > FRAME_BUDGET_MS ? current.slowWindows + 1 : 0;
+    if (current.slowWindows < SLOW_WINDOWS_LIMIT) return false;
+
+    console.warn(`⚠️ Background effect too slow (${average.toFixed(1)}ms per frame), falling back to the raw camera`);
+    current.onSlow();
+    return true;
+}
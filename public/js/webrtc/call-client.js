@@ -0,0 +1,186 @@
+import * as events from './events.js';
+import { requestOtp, verifyOtp, loginAsTestUser, restoreSession, logout, getUserInfo } from './auth.js';
+import { initializeSocket, refreshStaffList, acceptWaitingCall, rejectWaitingCall, getWaitingCalls } from './socket.js';
+import { initializeTurnCredentials } from './turn.js';
+import { listDevices } from './devices.js';
+import { setCodecPreferences } from './codecs.js';
+import {
+    initializeCallSession, initializeMedia, startCall, cancelCall, acceptCall, rejectCall, endCall, setMuted, setVideoEnabled,
+    selectDevice, getSelectedDevices, startScreenShare, stopScreenShare, isScreenSharing,
+    setVideoQuality, getVideoQuality, getNegotiatedCodecsState, requestVideoUpgrade, respondToVideoUpgrade,
+    setBackgroundEffect, getBackgroundEffect,
+    getCallMode, getMediaState, getCurrentCall, getLocalStream, getRemoteStream
+} from './webrtc.js';
+
+const LIST_STAFF_TIMEOUT = 10000;
+
+// Public calling API with no DOM dependencies; see events.js for the event names and payloads.
+// The underlying modules keep one session per page, so create a single CallClient per app.
+export class CallClient {
+    on(type, listener) {
+        return events.on(type, listener);
+    }
+
+    off(type, listener) {
+        events.off(type, listener);
+    }
+
+    getState() {
+        return {
+            ...events.getCallState(),
+            user: getUserInfo(),
+            call: getCurrentCall(),
+            waitingCalls: getWaitingCalls(),
+            media: getMediaState(),
+            devices: getSelectedDevices(),
+            screenSharing: isScreenSharing(),
+            callMode: getCallMode(),
+            quality: getVideoQuality(),
+            codecs: getNegotiatedCodecsState(),
+            background: getBackgroundEffect(),
+            localStream: getLocalStream(),
+            remoteStream: getRemoteStream()
+        };
+    }
+
+    requestOtp(phone) {
+        return requestOtp(phone);
+    }
+
+    // Returns { success, userInfo } or { success: false, message, status }
+    async login(phone, otp) {
+        const result = await verifyOtp(phone, otp);
+        if (result.success) {
+            await this.startSession();
+        }
+        return result;
+    }
+
+    async loginAsTestUser(userType) {
+        const result = await loginAsTestUser(userType);
+        if (result.success) {
+            await this.startSession();
+        }
+        return result;
+    }
+
+    // Resume a session stored before a reload
+    async restoreSession() {
+        const result = await restoreSession();
+        if (result.success) {
+            await this.startSession();
+        }
+        return result;
+    }
+
+    async startSession() {
+        await initializeTurnCredentials();
+        await initializeCallSession();
+        // Staff capture when they accept a call, so tabs that only ring never open the camera or mic
+        if (getUserInfo().role !== 'STAFF') {
+            await initializeMedia();
+        }
+        initializeSocket();
+    }
+
+    logout() {
+        return logout();
+    }
+
+    // Resolves with the next staff list from the server
+    listStaff() {
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                unsubscribe();
+                reject(new Error('Timed out waiting for staff list'));
+            }, LIST_STAFF_TIMEOUT);
+            const unsubscribe = events.on('staff', ({ staff }) => {
+                clearTimeout(timeout);
+                unsubscribe();
+                resolve(staff);
+            });
+            refreshStaffList();
+        });
+    }
+
+    // options.mode: 'video' (default) or 'audio'; an audio call can be upgraded later with requestVideo()
+    startCall(staffId, options) {
+        return startCall(staffId, options);
+    }
+
+    // Without a callId: the call ringing now; with one: that caller from the waiting queue
+    accept(callId) {
+        const currentCall = getCurrentCall();
+        if (callId !== undefined && (!currentCall || String(currentCall.id) !== String(callId))) {
+            return acceptWaitingCall(callId);
+        }
+        return acceptCall();
+    }
+
+    reject(callId) {
+        const currentCall = getCurrentCall();
+        if (callId !== undefined && (!currentCall || String(currentCall.id) !== String(callId))) {
+            return rejectWaitingCall(callId);
+        }
+        return rejectCall();
+    }
+
+    // Caller hangs up before the staff member answers
+    cancel() {
+        return cancelCall();
+    }
+
+    end() {
+        return endCall();
+    }
+
+    // Audio call only: ask the other side to switch to video (see the 'videoUpgrade' event)
+    requestVideo() {
+        return requestVideoUpgrade();
+    }
+
+    // Answer the other side's video request
+    respondToVideoRequest(accepted) {
+        return respondToVideoUpgrade(accepted);
+    }
+
+    mute(muted = true) {
+        return setMuted(muted);
+    }
+
+    setVideo(enabled) {
+        return setVideoEnabled(enabled);
+    }
+
+    startScreenShare() {
+        return startScreenShare();
+    }
+
+    stopScreenShare() {
+        return stopScreenShare();
+    }
+
+    // data-saver | standard | hd; remembered for the logged-in user
+    setVideoQuality(quality) {
+        return setVideoQuality(quality);
+    }
+
+    // { type: 'none' | 'blur' } or { type: 'image', imageUrl }; resolves false if it could not be applied
+    setBackground(effect) {
+        return setBackgroundEffect(effect);
+    }
+
+    // e.g. { video: ['video/AV1', 'video/VP9'], opus: { fec: true, dtx: true } }; used from the next negotiation
+    setCodecPreferences(preferences) {
+        setCodecPreferences(preferences);
+    }
+
+    listDevices() {
+        return listDevices();
+    }
+
+    // kind: audioinput | videoinput | audiooutput; '' for the browser default. Saved for next time.
+    selectDevice(kind, deviceId) {
+        return selectDevice(kind, deviceId);
+    }
+}
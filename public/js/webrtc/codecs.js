@@ -0,0 +1,97 @@
+import { CODEC_PREFERENCES } from './config.js';
+
+// Codec negotiation: preferred order per media kind, Opus FEC/DTX, and what actually got negotiated
+let preferences = { ...CODEC_PREFERENCES };
+
+export function getCodecPreferences() {
+    return preferences;
+}
+
+// e.g. { video: ['video/AV1', 'video/VP9'] } or { opus: { fec: true, dtx: false } }; applies from the next negotiation
+export function setCodecPreferences(next) {
+    preferences = { ...preferences, ...next };
+}
+
+// Stable sort, so codecs keep the browser's order among equals (H264 profiles, rtx/red/ulpfec after them)
+function sortCodecs(codecs, preferredMimeTypes) {
+    const preferred = preferredMimeTypes.map(mimeType => mimeType.toLowerCase());
+    const rank = (codec) => {
+        const index = preferred.indexOf(codec.mimeType.toLowerCase());
+        return index === -1 ? preferred.length : index;
+    };
+    return [...codecs].sort((a, b) => rank(a) - rank(b));
+}
+
+// Must run before createOffer/createAnswer; the answerer's order decides what is used
+export function applyCodecPreferences(peerConnection) {
+    if (typeof RTCRtpTransceiver === 'undefined' || !('setCodecPreferences' in RTCRtpTransceiver.prototype)) {
+        return false;
+    }
+
+    peerConnection.getTransceivers().forEach(transceiver => {
+        const kind = transceiver.receiver.track?.kind;
+        if (transceiver.currentDirection === 'stopped' || !preferences[kind]) return;
+
+        const capabilities = RTCRtpReceiver.getCapabilities(kind);
+        if (!capabilities) return;
+        try {
+            transceiver.setCodecPreferences(sortCodecs(capabilities.codecs, preferences[kind]));
+        } catch (error) {
+            console.warn(`⚠️ Could not set ${kind} codec preferences:`, error);
+        }
+    });
+    return true;
+}
+
+// Set useinbandfec / usedtx on every opus fmtp line; our local description tells the other side how to send to us
+export function withOpusParameters(description) {
+    const { fec, dtx } = preferences.opus || {};
+    if (!description || !description.sdp || (fec === undefined && dtx === undefined)) {
+        return description;
+    }
+
+    const lines = description.sdp.split('\r\n');
+    const opusPayloadTypes = lines
+        .map(line => line.match(/^a=rtpmap:(\d+) opus\/48000/i))
+        .filter(Boolean)
+        .map(match => match[1]);
+
+    opusPayloadTypes.forEach(payloadType => {
+        const prefix = `a=fmtp:${payloadType} `;
+        let fmtpIndex = lines.findIndex(line => line.startsWith(prefix));
+        if (fmtpIndex === -1) {
+            fmtpIndex = lines.findIndex(line => line.startsWith(`a=rtpmap:${payloadType} `)) + 1;
+            lines.splice(fmtpIndex, 0, prefix);
+        }
+
+        const params = new Map(lines[fmtpIndex].slice(prefix.length).split(';')
+            .filter(Boolean)
+            .map(param => param.trim().split('=')));
+        if (fec !== undefined) params.set('useinbandfec', fec ? '1' : '0');
+        if (dtx !== undefined) params.set('usedtx', dtx ? '1' : '0');
+        lines[fmtpIndex] = prefix + [...params].map(([key, value]) => `${key}=${value}`).join(';');
+    });
+
+    return { type: description.type, sdp: lines.join('\r\n') };
+}
+
+// What each direction is really using, from getStats: { audio: { send, receive }, video: { send, receive } }
+export async function getNegotiatedCodecs(peerConnection) {
+    const stats = await peerConnection.getStats();
+    const codecs = { audio: { send: null, receive: null }, video: { send: null, receive: null } };
+
+    stats.forEach(report => {
+        if ((report.type !== 'outbound-rtp' && report.type !== 'inbound-rtp') || !report.codecId) return;
+        const codec = stats.get(report.codecId);
+        if (!codec || !codecs[report.kind]) return;
+
+        codecs[report.kind][report.type === 'outbound-rtp' ? 'send' : 'receive'] = {
+            mimeType: codec.mimeType,
+            clockRate: codec.clockRate,
+            channels: codec.channels,
+            payloadType: codec.payloadType,
+            sdpFmtpLine: codec.sdpFmtpLine
+        };
+    });
+    return codecs;
+}
@@ -1,26 +1,159 @@
 // WebRTC Configuration
-export const API_BASE_URL = 'https://takemate.api.datewave.in/api/v1';
-export const SOCKET_URL = 'https://takemate.api.datewave.in';
+
+// Environment profiles - pick one with ?env=<name> or the environment selector on the login screen
+export const ENV_STORAGE_KEY = 'takemate.env';
+export const DEFAULT_ENV = 'production';
+
+const defaultTimeouts = {
+    socketConnect: 10000,      // socket.io connection timeout
+    iceGathering: 5000,        // max wait for ICE gathering before sending an answer
+    incomingCallRing: 60000,   // auto-reject unanswered incoming calls
+    outgoingCallRing: 45000,   // caller gives up ringing after this long
+    callWaiting: 180000,       // release a caller queued behind another call after this long
+    signalAck: 3000,           // resend a signaling message if the server hasn't acked it by then
+    callStateRequest: 5000,    // wait this long for the server's call state after a reconnect
+    iceDisconnectGrace: 3000,  // let a 'disconnected' ICE state recover on its own before restarting ICE
+    iceRecovery: 20000,        // end the call if ICE restarts have not reconnected it by then
+    videoUpgradeRequest: 30000, // drop an unanswered request to switch an audio call to video
+    turnRefreshMargin: 60000,  // refresh TURN credentials this long before they expire
+    tokenRefreshMargin: 60000  // refresh the JWT this long before it expires
+};
+
+const defaultStunServers = {
+    urls: [
+        'stun:stun.l.google.com:19302',
+        'stun:stun1.l.google.com:19302'
+    ]
+};
+
+// mock/server.mjs serves this page as well, so the mock API lives wherever the page came from
+// (any --port); opened some other way, or outside a page, it is the server's default port
+const pageOrigin = typeof window !== 'undefined' && window.location && window.location.protocol.startsWith('http')
+    ? window.location.origin
+    : null;
+const MOCK_ORIGIN = pageOrigin || 'http://localhost:4000';
+
+// TURN servers are not listed here: short-lived credentials are fetched after login (see turn.js)
+export const ENV_PROFILES = {
+    production: {
+        name: 'production',
+        label: 'Production',
+        apiBaseUrl: 'https://takemate.api.datewave.in/api/v1',
+        socketUrl: 'https://takemate.api.datewave.in',
+        iceServers: [defaultStunServers],
+        timeouts: defaultTimeouts
+    },
+    staging: {
+        name: 'staging',
+        label: 'Staging',
+        apiBaseUrl: 'https://staging.takemate.api.datewave.in/api/v1',
+        socketUrl: 'https://staging.takemate.api.datewave.in',
+        iceServers: [defaultStunServers],
+        timeouts: defaultTimeouts
+    },
+    local: {
+        name: 'local',
+        label: 'Local',
+        apiBaseUrl: 'http://localhost:5000/api/v1',
+        socketUrl: 'http://localhost:5000',
+        iceServers: [defaultStunServers],
+        timeouts: defaultTimeouts,
+        allowTestUsers: true
+    },
+    mock: {
+        name: 'mock',
+        label: 'Mock',
+        apiBaseUrl: `${MOCK_ORIGIN}/api/v1`,
+        socketUrl: MOCK_ORIGIN,
+        iceServers: [],    // TURN comes from the local stand-in, host candidates cover the rest
+        timeouts: {
+            ...defaultTimeouts,
+            iceGathering: 1000,
+            incomingCallRing: 30000
+        },
+        allowTestUsers: true
+    }
+};
+
+function readStoredEnv() {
+    try {
+        return localStorage.getItem(ENV_STORAGE_KEY);
+    } catch (e) {
+        // Storage can be blocked (private mode, sandboxed iframes)
+        return null;
+    }
+}
+
+// URL query wins over the persisted setting, so a shared link always opens the intended backend.
+// Outside a page (Node) there is no query, only the stored setting.
+function resolveActiveProfile() {
+    const search = typeof window !== 'undefined' && window.location ? window.location.search : '';
+    const queryEnv = new URLSearchParams(search).get('env');
+    if (queryEnv && ENV_PROFILES[queryEnv]) {
+        return ENV_PROFILES[queryEnv];
+    }
+    if (queryEnv) {
+        console.warn(`⚠️ Unknown environment "${queryEnv}", falling back to saved/default profile`);
+    }
+
+    const storedEnv = readStoredEnv();
+    if (storedEnv && ENV_PROFILES[storedEnv]) {
+        return ENV_PROFILES[storedEnv];
+    }
+    return ENV_PROFILES[DEFAULT_ENV];
+}
+
+const activeProfile = resolveActiveProfile();
+console.log(`🌐 Using ${activeProfile.label} environment:`, activeProfile.apiBaseUrl);
+
+export function getActiveProfile() {
+    return activeProfile;
+}
+
+// Persist the chosen profile and reload so every module picks up the new endpoints
+export function setActiveProfile(name) {
+    if (!ENV_PROFILES[name]) {
+        throw new Error(`Unknown environment: ${name}`);
+    }
+    try {
+        localStorage.setItem(ENV_STORAGE_KEY, name);
+    } catch (e) {
+        console.warn('⚠️ Could not persist environment selection:', e);
+    }
+
+    // Modules read the profile once at load, so outside a page it only applies to the next run
+    if (typeof window === 'undefined' || !window.location) return;
+
+    // Drop a stale ?env= so it doesn't override the new selection
+    const url = new URL(window.location.href);
+    url.searchParams.delete('env');
+    window.location.replace(url.toString());
+}
+
+export const API_BASE_URL = activeProfile.apiBaseUrl;
+export const SOCKET_URL = activeProfile.socketUrl;
+export const TIMEOUTS = activeProfile.timeouts;
+
+// Seeded accounts for debug profiles only - they all accept the fixed development OTP
+export const TEST_USERS = activeProfile.allowTestUsers ? {
+    user1: { label: 'User1', phone: '+919876543210' },
+    user2: { label: 'User2', phone: '+919876543271' },
+    staff1: { label: 'Staff1', phone: '+919876543220' },
+    staff2: { label: 'Staff2', phone: '+919876543221' }
+} : {};
+export const TEST_OTP = '123456';
+
+// Codec order applied with RTCRtpTransceiver.setCodecPreferences; codecs not listed stay as fallbacks.
+// Opus FEC/DTX have no API, so they are set on the opus fmtp line of our local descriptions.
+export const CODEC_PREFERENCES = {
+    audio: ['audio/opus'],
+    video: ['video/VP9', 'video/H264', 'video/AV1', 'video/VP8'],
+    opus: { fec: true, dtx: true }
+};
 
 // WebRTC peer configuration
 export const peerConfig = {
-    iceServers: [
-        { 
-            urls: [
-                'stun:stun.l.google.com:19302',
-                'stun:stun1.l.google.com:19302'
-            ]
-        },
-        {
-            urls: [
-                'turn:takemate.api.datewave.in:3478?transport=udp',
-                'turn:takemate.api.datewave.in:3478?transport=tcp',
-                'turns:takemate.api.datewave.in:5349?transport=tcp'
-            ],
-            username: 'takemate',
-            credential: 'S6qZ-9uYbP3!rX2eV4mN'
-        }
-    ],
+    iceServers: activeProfile.iceServers,
     iceCandidatePoolSize: 10,
     bundlePolicy: 'max-bundle',
     rtcpMuxPolicy: 'require',
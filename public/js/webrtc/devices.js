@@ -0,0 +1,98 @@
+// Microphone / camera / speaker choices, remembered between sessions, and the constraints built from them
+const DEVICE_STORAGE_KEY = 'takemate.devices';
+const DEVICE_KINDS = ['audioinput', 'videoinput', 'audiooutput'];
+const DEVICE_KIND_LABELS = {
+    audioinput: 'Microphone',
+    videoinput: 'Camera',
+    audiooutput: 'Speaker'
+};
+
+const AUDIO_PROCESSING = {
+    echoCancellation: true,
+    noiseSuppression: true,
+    autoGainControl: true,
+    sampleRate: 48000
+};
+
+let preferredDevices = readStoredDevices();
+let watchingDeviceChanges = false;
+
+function readStoredDevices() {
+    try {
+        return JSON.parse(localStorage.getItem(DEVICE_STORAGE_KEY)) || {};
+    } catch (e) {
+        // Storage can be blocked (private mode, sandboxed iframes)
+        return {};
+    }
+}
+
+export function getPreferredDevice(kind) {
+    return preferredDevices[kind] || '';
+}
+
+// An empty deviceId means "browser default"
+export function setPreferredDevice(kind, deviceId) {
+    if (!DEVICE_KINDS.includes(kind)) {
+        throw new Error(`Unknown device kind: ${kind}`);
+    }
+    preferredDevices = { ...preferredDevices, [kind]: deviceId || '' };
+    try {
+        localStorage.setItem(DEVICE_STORAGE_KEY, JSON.stringify(preferredDevices));
+    } catch (e) {
+        console.warn('⚠️ Could not persist device selection:', e);
+    }
+}
+
+// Labels are empty until the page has been granted media permission, so number them instead
+export async function listDevices() {
+    if (typeof navigator === 'undefined' || !navigator.mediaDevices?.enumerateDevices) {
+        return [];
+    }
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    const counts = {};
+    return devices
+        .filter(device => DEVICE_KINDS.includes(device.kind))
+        .map(device => {
+            counts[device.kind] = (counts[device.kind] || 0) + 1;
+            return {
+                deviceId: device.deviceId,
+                groupId: device.groupId,
+                kind: device.kind,
+                label: device.label || `${DEVICE_KIND_LABELS[device.kind]} ${counts[device.kind]}`
+            };
+        });
+}
+
+// The saved device while it is still plugged in, otherwise the browser default
+export function resolveDeviceId(kind, devices) {
+    const preferred = getPreferredDevice(kind);
+    if (preferred && devices.some(device => device.kind === kind && device.deviceId === preferred)) {
+        return preferred;
+    }
+    return '';
+}
+
+export function buildAudioConstraints(deviceId) {
+    return deviceId ? { ...AUDIO_PROCESSING, deviceId: { exact: deviceId } } : { ...AUDIO_PROCESSING };
+}
+
+// capture: resolution / frame rate from the active quality preset
+export function buildVideoConstraints(deviceId, capture = {}) {
+    return deviceId ? { ...capture, deviceId: { exact: deviceId } } : { ...capture };
+}
+
+// Speaker selection needs HTMLMediaElement.setSinkId (not available in every browser)
+export function supportsOutputSelection() {
+    return typeof HTMLMediaElement !== 'undefined' && 'setSinkId' in HTMLMediaElement.prototype;
+}
+
+export function watchDeviceChanges(handler) {
+    if (watchingDeviceChanges || typeof navigator === 'undefined' || !navigator.mediaDevices?.addEventListener) {
+        return;
+    }
+    watchingDeviceChanges = true;
+    navigator.mediaDevices.addEventListener('devicechange', () => {
+        console.log('🎧 Media devices changed');
+        handler();
+    });
+}
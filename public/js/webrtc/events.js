@@ -0,0 +1,75 @@
+// Event bus between the calling logic (auth/socket/webrtc) and whoever renders it.
+// The calling modules never touch the DOM; they emit here and CallClient re-exposes the events.
+//
+// Events:
+//   status        { message, isError }       human readable progress / problems
+//   error         { message }                 something failed (also reported as status)
+//   state         { state, label }            idle | calling | incoming | connecting | connected | reconnecting
+//   session       { loggedIn, userInfo }
+//   staff         { staff }                   latest staff list (USER role)
+//   incoming      { callId, caller, callDetails }
+//   queue         { calls: [{ callId, caller, callDetails, waitingSince, position }] }   staff call waiting
+//   localStream   { stream }                  null when media is released
+//   remoteStream  { stream }                  null when the call is torn down
+//   media         { audioEnabled, videoEnabled }
+//   screenShare   { sharing, stream }          local screen capture (stream is the preview), null when stopped
+//   remoteMediaSource { callId, source }      camera | screen - what the other side is sending
+//   quality       { quality, presets: [{ name, label }] }   active video quality preset (see quality.js)
+//   background    { effect: { type, imageUrl? }, stream }   local camera with the effect applied (the preview), null when off
+//   devices       { devices: [{ deviceId, groupId, kind, label }], selected: { audioinput, videoinput, audiooutput }, canSelectOutput }
+//   connection    { iceConnectionState }
+//   callMode      { callId, mode }            audio | video; null when the call is torn down
+//   videoUpgrade  { callId, direction, status, fromName? }   outgoing | incoming; requested | accepted | declined | expired
+//   codecs        { callId, codecs: { audio: { send, receive }, video: { send, receive } } }   negotiated, from getStats
+//   cost          { callId, cost, duration } or { callId, warning }
+const listeners = new Map();
+
+let callState = 'idle';
+let callStateLabel = '';
+
+export function on(type, listener) {
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(listener);
+    return () => off(type, listener);
+}
+
+export function off(type, listener) {
+    const typeListeners = listeners.get(type);
+    if (typeListeners) typeListeners.delete(listener);
+}
+
+export function emit(type, detail) {
+    const typeListeners = listeners.get(type);
+    if (!typeListeners) return;
+
+    // A broken consumer must not break call handling
+    [...typeListeners].forEach(listener => {
+        try {
+            listener(detail);
+        } catch (error) {
+            console.error(`❌ "${type}" listener failed:`, error);
+        }
+    });
+}
+
+export function notifyStatus(message, isError = false) {
+    emit('status', { message, isError });
+    if (isError) {
+        emit('error', { message });
+    }
+}
+
+export function setCallState(state, label = '') {
+    callState = state;
+    callStateLabel = label;
+    emit('state', { state, label });
+}
+
+// Update the human readable label without changing the state
+export function setCallStateLabel(label) {
+    setCallState(callState, label);
+}
+
+export function getCallState() {
+    return { state: callState, label: callStateLabel };
+}
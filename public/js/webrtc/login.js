@@ -0,0 +1,222 @@
+import { TEST_USERS } from './config.js';
+import { showStatus } from './ui.js';
+
+const OTP_LENGTH = 6;
+const RESEND_COOLDOWN_SECONDS = 30;
+const MAX_OTP_ATTEMPTS = 5;
+
+// National number rules per supported country (digits only, without the country code)
+export const COUNTRY_CODES = [
+    { code: '+91', label: 'India (+91)', pattern: /^[6-9]\d{9}$/, example: '98765 43210' },
+    { code: '+1', label: 'US/Canada (+1)', pattern: /^[2-9]\d{9}$/, example: '201 555 0123' },
+    { code: '+44', label: 'UK (+44)', pattern: /^7\d{9}$/, example: '7400 123456' },
+    { code: '+971', label: 'UAE (+971)', pattern: /^5\d{8}$/, example: '50 123 4567' },
+    { code: '+65', label: 'Singapore (+65)', pattern: /^[89]\d{7}$/, example: '8123 4567' },
+    { code: '+61', label: 'Australia (+61)', pattern: /^4\d{8}$/, example: '412 345 678' }
+];
+
+let currentPhone = null;
+let otpAttempts = 0;
+let resendInterval = null;
+let client = null;
+
+export function validatePhone(countryCode, nationalNumber) {
+    const country = COUNTRY_CODES.find(c => c.code === countryCode);
+    if (!country) {
+        return { valid: false, message: 'Please select a country code' };
+    }
+
+    // Allow spaces, dashes and a leading trunk 0 while typing
+    const digits = nationalNumber.replace(/[\s-]/g, '').replace(/^0/, '');
+    if (!/^\d+$/.test(digits)) {
+        return { valid: false, message: 'Phone number can only contain digits' };
+    }
+    if (!country.pattern.test(digits)) {
+        return { valid: false, message: `Enter a valid ${country.label} number, e.g. ${country.example}` };
+    }
+    return { valid: true, phone: `${country.code}${digits}` };
+}
+
+function showPhoneStep() {
+    resetLoginForm();
+    document.getElementById('phoneNumber').focus();
+}
+
+// Back to a blank phone step, e.g. after logout
+export function resetLoginForm() {
+    stopResendCooldown();
+    currentPhone = null;
+    otpAttempts = 0;
+    document.getElementById('otpInput').value = '';
+    document.getElementById('otpStep').classList.add('hidden');
+    document.getElementById('phoneStep').classList.remove('hidden');
+}
+
+function showOtpStep(phone) {
+    currentPhone = phone;
+    otpAttempts = 0;
+    document.getElementById('otpPhone').textContent = phone;
+    document.getElementById('phoneStep').classList.add('hidden');
+    document.getElementById('otpStep').classList.remove('hidden');
+    document.getElementById('otpInput').focus();
+    startResendCooldown();
+}
+
+function startResendCooldown() {
+    const resendBtn = document.getElementById('resendOtpBtn');
+    let remaining = RESEND_COOLDOWN_SECONDS;
+
+    stopResendCooldown();
+    resendBtn.disabled = true;
+    resendBtn.textContent = `Resend OTP in ${remaining}s`;
+
+    resendInterval = setInterval(() => {
+        remaining--;
+        if (remaining <= 0) {
+            stopResendCooldown();
+            return;
+        }
+        resendBtn.textContent = `Resend OTP in ${remaining}s`;
+    }, 1000);
+}
+
+function stopResendCooldown() {
+    if (resendInterval) {
+        clearInterval(resendInterval);
+        resendInterval = null;
+    }
+    const resendBtn = document.getElementById('resendOtpBtn');
+    resendBtn.disabled = false;
+    resendBtn.textContent = 'Resend OTP';
+}
+
+async function handleSendOtp() {
+    const countryCode = document.getElementById('countryCode').value;
+    const nationalNumber = document.getElementById('phoneNumber').value;
+    const validation = validatePhone(countryCode, nationalNumber);
+    if (!validation.valid) {
+        showStatus(validation.message, true);
+        return;
+    }
+
+    const sendBtn = document.getElementById('sendOtpBtn');
+    sendBtn.disabled = true;
+    try {
+        showStatus('Requesting OTP...', false);
+        await client.requestOtp(validation.phone);
+        showStatus(`OTP sent to ${validation.phone}`, false);
+        showOtpStep(validation.phone);
+    } catch (error) {
+        console.error('OTP request error:', error);
+        showStatus(error.message, true);
+    } finally {
+        sendBtn.disabled = false;
+    }
+}
+
+async function handleResendOtp() {
+    if (!currentPhone || resendInterval) return;
+
+    try {
+        showStatus('Resending OTP...', false);
+        await client.requestOtp(currentPhone);
+        otpAttempts = 0;
+        showStatus(`New OTP sent to ${currentPhone}`, false);
+        startResendCooldown();
+    } catch (error) {
+        console.error('OTP resend error:', error);
+        showStatus(error.message, true);
+    }
+}
+
+async function handleVerifyOtp() {
+    const otpInput = document.getElementById('otpInput');
+    const otp = otpInput.value.trim();
+    if (!new RegExp(`^\\d{${OTP_LENGTH}}$`).test(otp)) {
+        showStatus(`Enter the ${OTP_LENGTH}-digit code we sent you`, true);
+        return;
+    }
+
+    const verifyBtn = document.getElementById('verifyOtpBtn');
+    verifyBtn.disabled = true;
+    try {
+        showStatus('Verifying OTP...', false);
+        const result = await client.login(currentPhone, otp);
+        if (result.success) {
+            stopResendCooldown();
+            return;
+        }
+
+        otpAttempts++;
+        otpInput.value = '';
+        const attemptsLeft = MAX_OTP_ATTEMPTS - otpAttempts;
+        if (attemptsLeft <= 0 || result.status === 429) {
+            showPhoneStep();
+            showStatus('Too many incorrect attempts. Please request a new OTP.', true);
+            return;
+        }
+        showStatus(`${result.message} (${attemptsLeft} attempt${attemptsLeft === 1 ? '' : 's'} left)`, true);
+    } catch (error) {
+        console.error('OTP verification error:', error);
+        showStatus('Login failed: ' + error.message, true);
+    } finally {
+        verifyBtn.disabled = false;
+    }
+}
+
+async function handleTestUserLogin() {
+    const userType = document.getElementById('userType').value;
+    await client.loginAsTestUser(userType);
+}
+
+function populateTestUsers() {
+    const testUserStep = document.getElementById('testUserStep');
+    const userSelect = document.getElementById('userType');
+    const entries = Object.entries(TEST_USERS);
+
+    // Only debug profiles ship test users; production never shows the shortcut
+    if (entries.length === 0) {
+        testUserStep.classList.add('hidden');
+        return;
+    }
+
+    userSelect.innerHTML = '';
+    entries.forEach(([key, testUser]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = `${testUser.label} (${testUser.phone})`;
+        userSelect.appendChild(option);
+    });
+    testUserStep.classList.remove('hidden');
+}
+
+export function initializeLoginForm(callClient) {
+    client = callClient;
+
+    const countrySelect = document.getElementById('countryCode');
+    COUNTRY_CODES.forEach(country => {
+        const option = document.createElement('option');
+        option.value = country.code;
+        option.textContent = country.label;
+        countrySelect.appendChild(option);
+    });
+    countrySelect.addEventListener('change', () => {
+        const country = COUNTRY_CODES.find(c => c.code === countrySelect.value);
+        document.getElementById('phoneNumber').placeholder = country.example;
+    });
+    document.getElementById('phoneNumber').placeholder = COUNTRY_CODES[0].example;
+
+    document.getElementById('sendOtpBtn').addEventListener('click', handleSendOtp);
+    document.getElementById('phoneNumber').addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') handleSendOtp();
+    });
+    document.getElementById('verifyOtpBtn').addEventListener('click', handleVerifyOtp);
+    document.getElementById('otpInput').addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') handleVerifyOtp();
+    });
+    document.getElementById('resendOtpBtn').addEventListener('click', handleResendOtp);
+    document.getElementById('changePhoneBtn').addEventListener('click', showPhoneStep);
+
+    populateTestUsers();
+    document.getElementById('loginBtn').addEventListener('click', handleTestUserLogin);
+}
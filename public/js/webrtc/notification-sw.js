@@ -0,0 +1,28 @@
+// Service worker for incoming call notifications: notification actions only exist on
+// worker-shown notifications, so this relays Accept/Reject clicks back to the page.
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('notificationclick', (event) => {
+    const notification = event.notification;
+    const { callId, tabId, url } = notification.data || {};
+    const action = event.action || 'open';
+    notification.close();
+
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        windows.forEach(client => client.postMessage({ type: 'incoming-call-action', action, callId, tabId }));
+
+        // Rejecting can happen from the notification alone; anything else brings the tab forward
+        if (action === 'reject') return;
+        const target = windows.find(client => client.url === url) || windows[0];
+        if (target) {
+            await target.focus();
+        } else if (url) {
+            await self.clients.openWindow(url);
+        }
+    })());
+});
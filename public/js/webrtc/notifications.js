@@ -0,0 +1,109 @@
+import { on } from './events.js';
+import { getTabId } from './tabs.js';
+import { startRingtone, stopTones } from './tones.js';
+import { acceptCall, rejectCall, getCurrentCall } from './webrtc.js';
+
+// Ringtone + system notification for incoming calls, so staff with the tab in the background
+// don't miss them. Both stop as soon as the call leaves the 'incoming' state.
+const NOTIFICATION_TAG_PREFIX = 'takemate-incoming-';
+
+let initialized = false;
+let workerRegistration = null;
+let fallbackNotification = null;
+let alertingCallId = null;
+
+export async function initializeNotifications() {
+    if (initialized) return;
+    initialized = true;
+
+    on('state', ({ state }) => {
+        if (state !== 'incoming') {
+            stopIncomingCallAlert();
+        }
+    });
+
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+        return;
+    }
+    navigator.serviceWorker.addEventListener('message', handleWorkerMessage);
+    try {
+        workerRegistration = await navigator.serviceWorker.register(new URL('./notification-sw.js', import.meta.url));
+    } catch (error) {
+        console.warn('⚠️ Notification worker unavailable, notifications will have no actions:', error);
+    }
+}
+
+export function startIncomingCallAlert({ callId, callerName }) {
+    stopIncomingCallAlert();
+    alertingCallId = callId;
+    startRingtone();
+
+    const pageInBackground = typeof document !== 'undefined' && (document.hidden || !document.hasFocus());
+    if (pageInBackground && typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+        showNotification(callId, callerName).catch(error => {
+            console.warn('⚠️ Could not show incoming call notification:', error);
+        });
+    }
+}
+
+export function stopIncomingCallAlert() {
+    if (alertingCallId === null) return;
+
+    stopTones();
+    if (fallbackNotification) {
+        fallbackNotification.close();
+        fallbackNotification = null;
+    }
+    if (workerRegistration) {
+        const tag = `${NOTIFICATION_TAG_PREFIX}${alertingCallId}`;
+        workerRegistration.getNotifications({ tag })
+            .then(notifications => notifications.forEach(notification => notification.close()))
+            .catch(() => {});
+    }
+    alertingCallId = null;
+}
+
+async function showNotification(callId, callerName) {
+    const title = 'Incoming call';
+    const options = {
+        body: `${callerName || 'A user'} is calling you`,
+        tag: `${NOTIFICATION_TAG_PREFIX}${callId}`,
+        requireInteraction: true,
+        data: { callId, tabId: getTabId(), url: location.href }
+    };
+
+    if (workerRegistration) {
+        await workerRegistration.showNotification(title, {
+            ...options,
+            actions: [
+                { action: 'accept', title: 'Accept' },
+                { action: 'reject', title: 'Reject' }
+            ]
+        });
+        return;
+    }
+
+    // No worker: a plain notification that brings the tab forward
+    fallbackNotification = new Notification(title, options);
+    fallbackNotification.onclick = () => {
+        window.focus();
+        fallbackNotification.close();
+    };
+}
+
+function handleWorkerMessage(event) {
+    const message = event.data;
+    if (!message || message.type !== 'incoming-call-action' || message.tabId !== getTabId()) return;
+
+    const currentCall = getCurrentCall();
+    if (!currentCall || String(currentCall.id) !== String(message.callId) || currentCall.status !== 'INCOMING') {
+        return;
+    }
+
+    console.log(`🔔 Notification action "${message.action}" for call ${message.callId}`);
+    if (message.action === 'accept') {
+        acceptCall();
+    } else if (message.action === 'reject') {
+        rejectCall();
+    }
+}
@@ -0,0 +1,235 @@
+// Signaling protocol: every socket event the client sends or handles, with its payload shape.
+// Outbound payloads are stamped with the protocol version; inbound payloads are validated before
+// they reach a handler, so handlers can trust the fields they read.
+export const PROTOCOL_VERSION = 1;
+
+const types = {
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    boolean: value => typeof value === 'boolean',
+    object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+    array: value => Array.isArray(value),
+    // Backend ids are Mongo ObjectIds (strings) but some test fixtures use numbers
+    id: value => (typeof value === 'string' && value.length > 0) || typeof value === 'number'
+};
+
+// Field specs are 'type', 'type?' (optional), a nested { field: spec } object, or a function
+// returning an error message (or null). Wrap nested objects/functions with optional() when needed.
+export function optional(spec) {
+    return { optional: true, spec };
+}
+
+function arrayOf(itemSpec) {
+    return (value, path, errors) => {
+        if (!Array.isArray(value)) return 'must be an array';
+        value.forEach((item, index) => validateSpec(itemSpec, item, `${path}[${index}]`, errors));
+        return null;
+    };
+}
+
+function sessionDescription(expectedType) {
+    return (value) => {
+        if (!types.object(value)) return 'must be an object';
+        if (value.type !== expectedType) return `must have type "${expectedType}" (got ${JSON.stringify(value.type)})`;
+        if (!types.string(value.sdp) || value.sdp.length === 0) return 'must have a non-empty sdp';
+        return null;
+    };
+}
+
+const iceCandidate = {
+    candidate: 'string',
+    sdpMid: optional((value) => value === null || types.string(value) ? null : 'must be a string or null'),
+    sdpMLineIndex: optional((value) => value === null || types.number(value) ? null : 'must be a number or null')
+};
+
+function oneOf(...values) {
+    return (value) => values.includes(value) ? null : `must be one of ${values.map(v => `"${v}"`).join(', ')}`;
+}
+
+// What the video sender is carrying
+const mediaSource = oneOf('camera', 'screen');
+
+const caller = {
+    id: 'id',
+    name: 'string?'
+};
+
+const modePrice = optional((value) => types.number(value) || types.string(value) ? null : 'must be a number or string');
+
+const staffMember = {
+    id: 'id',
+    name: 'string',
+    status: 'string',
+    busy: 'boolean?',
+    ratings: optional((value) => types.number(value) || types.string(value) ? null : 'must be a number or string'),
+    pricing: optional((value) => types.number(value) || types.string(value) ? null : 'must be a number or string'),
+    // Per call mode, when the staff member charges differently for audio and video
+    pricingByMode: optional({ audio: modePrice, video: modePrice })
+};
+
+// Payload shapes; null means the event carries no payload
+export const INBOUND_EVENTS = {
+    'user-joined': { userName: 'string?' },
+    'user-disconnected': { callId: 'id?', disconnectedUserName: 'string?' },
+    'call-initiated': { call: { id: 'id' } },
+    'call-accepted': { callId: 'id', acceptedBy: 'id?', acceptedByName: 'string?', messageId: 'string?' },
+    'call-rejected': { callId: 'id?', rejectedByName: 'string?', reason: 'string?', messageId: 'string?' },
+    'call-started': { callId: 'id?', startTime: optional((value) => types.string(value) || types.number(value) ? null : 'must be a timestamp'), messageId: 'string?' },
+    'call-ended': { callId: 'id?', duration: 'number?', cost: 'number?', messageId: 'string?' },
+    'call-error': { callId: 'id?', message: 'string?' },
+    'call-quality-alert': { callId: 'id?', message: 'string' },
+    'call-cost-warning': { callId: 'id?', message: 'string', remainingBalance: 'number?' },
+    'call-cost-update': { callId: 'id', cost: 'number', duration: 'number?' },
+    'call-force-ended': { callId: 'id?', reason: 'string?' },
+    'call-handled-elsewhere': { callId: 'id', action: 'string' },
+    'call-queued': { callId: 'id', position: 'number' },
+    'call-cancelled': { callId: 'id', cancelledByName: 'string?', reason: 'string?' },
+    'incoming-call': {
+        callId: 'id',
+        caller,
+        staffUserId: 'id?',
+        callDetails: 'object?',
+        offer: optional(sessionDescription('offer'))
+    },
+    'initiate-call': {
+        callId: 'id',
+        caller,
+        staffUserId: 'id?',
+        callDetails: 'object?'
+    },
+    'staff-unavailable': { message: 'string' },
+    'offer': { callId: 'id', offer: sessionDescription('offer'), from: 'id', fromName: 'string?', messageId: 'string?' },
+    'answer': { callId: 'id', answer: sessionDescription('answer'), from: 'id?', fromName: 'string?', messageId: 'string?' },
+    'ice-candidate': { callId: 'id', candidate: iceCandidate, from: 'id?', messageId: 'string?' },
+    'media-source': { callId: 'id', source: mediaSource, from: 'id?', fromName: 'string?', messageId: 'string?' },
+    'video-upgrade-request': { callId: 'id', from: 'id?', fromName: 'string?', messageId: 'string?' },
+    'video-upgrade-response': { callId: 'id', accepted: 'boolean', from: 'id?', fromName: 'string?', messageId: 'string?' },
+    'process-pending-offer': { callId: 'id' },
+    'staff-data': {
+        success: 'boolean',
+        message: 'string?',
+        data: optional({ staff: arrayOf(staffMember) })
+    },
+    'staff-update': { type: 'string' }
+};
+
+export const OUTBOUND_EVENTS = {
+    'ping': null,
+    'get-staff': null,
+    'subscribe-staff-updates': null,
+    'debug-info': { role: 'string?', userId: 'id?', connectionId: 'string?' },
+    'authenticate': { token: 'string' },
+    'staff-status-update': { status: 'string', staffId: 'id', timestamp: 'string' },
+    'join-call': { callId: 'id' },
+    'leave-call': { callId: 'id' },
+    'offer': { callId: 'id', targetUserId: 'id', offer: sessionDescription('offer'), messageId: 'string' },
+    'answer': { callId: 'id', targetUserId: 'id', answer: sessionDescription('answer'), messageId: 'string' },
+    'ice-candidate': { callId: 'id', targetUserId: 'id', candidate: iceCandidate, priority: 'string?', messageId: 'string' },
+    'media-source': { callId: 'id', targetUserId: 'id', source: mediaSource, messageId: 'string' },
+    'video-upgrade-request': { callId: 'id', targetUserId: 'id', messageId: 'string' },
+    'video-upgrade-response': { callId: 'id', targetUserId: 'id', accepted: 'boolean', messageId: 'string' },
+    'process-pending-offer': { callId: 'id' },
+    'call-accept': { callId: 'id', targetUserId: 'id', messageId: 'string' },
+    'call-reject': { callId: 'id', targetUserId: 'id', reason: 'string?', messageId: 'string' },
+    'call-start': { callId: 'id', connectionType: 'string?', iceState: 'string?', messageId: 'string' },
+    'call-end': { callId: 'id', messageId: 'string' },
+    'call-waiting': { callId: 'id', targetUserId: 'id', position: 'number', messageId: 'string' },
+    'call-cancel': { callId: 'id', targetUserId: 'id', reason: 'string?', messageId: 'string' },
+    'get-call-state': { callId: 'id' }
+};
+
+// Server acknowledgement for signaling sent with sendSignal
+const signalAck = { success: 'boolean', duplicate: 'boolean?', message: 'string?' };
+
+// Acknowledgement payloads for outbound events that expect a reply
+export const ACK_RESPONSES = {
+    'offer': signalAck,
+    'answer': signalAck,
+    'ice-candidate': signalAck,
+    'media-source': signalAck,
+    'video-upgrade-request': signalAck,
+    'video-upgrade-response': signalAck,
+    'call-accept': signalAck,
+    'call-reject': signalAck,
+    'call-start': signalAck,
+    'call-end': signalAck,
+    'call-waiting': signalAck,
+    'call-cancel': signalAck,
+    'get-call-state': {
+        success: 'boolean',
+        callId: 'id?',
+        active: 'boolean',
+        status: 'string?',
+        message: 'string?'
+    }
+};
+
+function validateSpec(spec, value, path, errors) {
+    let isOptional = false;
+    if (spec && typeof spec === 'object' && spec.optional === true && 'spec' in spec) {
+        isOptional = true;
+        spec = spec.spec;
+    }
+    if (typeof spec === 'string' && spec.endsWith('?')) {
+        isOptional = true;
+        spec = spec.slice(0, -1);
+    }
+
+    if (value === undefined || value === null) {
+        if (!isOptional) errors.push(`${path} is required`);
+        return;
+    }
+
+    if (typeof spec === 'string') {
+        if (!types[spec](value)) errors.push(`${path} must be ${spec === 'id' ? 'an id' : `a ${spec}`}`);
+    } else if (typeof spec === 'function') {
+        const error = spec(value, path, errors);
+        if (error) errors.push(`${path} ${error}`);
+    } else if (!types.object(value)) {
+        errors.push(`${path} must be an object`);
+    } else {
+        Object.entries(spec).forEach(([field, fieldSpec]) => {
+            validateSpec(fieldSpec, value[field], `${path}.${field}`, errors);
+        });
+    }
+}
+
+function validate(events, direction, event, payload) {
+    if (!(event in events)) {
+        return { valid: false, errors: [`unknown ${direction} event "${event}"`] };
+    }
+
+    const schema = events[event];
+    if (schema === null) {
+        return { valid: true, errors: [] };
+    }
+
+    const errors = [];
+    if (direction !== 'outbound' && types.object(payload) && payload.v !== undefined && payload.v !== PROTOCOL_VERSION) {
+        errors.push(`unsupported protocol version ${payload.v} (client speaks ${PROTOCOL_VERSION})`);
+    }
+    validateSpec(schema, payload, 'payload', errors);
+    return { valid: errors.length === 0, errors };
+}
+
+export function validateInbound(event, payload) {
+    return validate(INBOUND_EVENTS, 'inbound', event, payload);
+}
+
+export function validateOutbound(event, payload) {
+    return validate(OUTBOUND_EVENTS, 'outbound', event, payload);
+}
+
+export function validateAck(event, response) {
+    return validate(ACK_RESPONSES, 'ack', event, response);
+}
+
+export function isKnownInboundEvent(event) {
+    return event in INBOUND_EVENTS;
+}
+
+// Stamp the protocol version on outbound payloads (events without a payload stay bare)
+export function withVersion(event, payload) {
+    if (OUTBOUND_EVENTS[event] === null || payload === undefined) return payload;
+    return { ...payload, v: PROTOCOL_VERSION };
+}
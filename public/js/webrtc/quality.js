@@ -0,0 +1,65 @@
+// Video quality presets: capture constraints for the camera plus encoder limits for the video sender.
+// The choice is remembered per user, so a shared device keeps each account's setting.
+const QUALITY_STORAGE_PREFIX = 'takemate.quality.';
+export const DEFAULT_QUALITY = 'standard';
+
+export const QUALITY_PRESETS = {
+    'data-saver': {
+        name: 'data-saver',
+        label: 'Data saver',
+        capture: { width: { ideal: 640 }, height: { ideal: 360 }, frameRate: { ideal: 15, max: 15 } },
+        encoding: { maxBitrate: 150000, maxFramerate: 15, scaleResolutionDownBy: 2 },
+        // On a bad link drop resolution before the picture starts to stutter
+        degradationPreference: 'maintain-framerate'
+    },
+    standard: {
+        name: 'standard',
+        label: 'Standard',
+        capture: { width: { ideal: 640 }, height: { ideal: 360 }, frameRate: { ideal: 24, max: 30 } },
+        encoding: { maxBitrate: 600000, maxFramerate: 24, scaleResolutionDownBy: 1 },
+        degradationPreference: 'balanced'
+    },
+    hd: {
+        name: 'hd',
+        label: 'HD',
+        capture: { width: { ideal: 1280 }, height: { ideal: 720 }, frameRate: { ideal: 30, max: 30 } },
+        encoding: { maxBitrate: 2500000, maxFramerate: 30, scaleResolutionDownBy: 1 },
+        degradationPreference: 'maintain-resolution'
+    }
+};
+
+export function getSavedQuality(userId) {
+    try {
+        const name = localStorage.getItem(`${QUALITY_STORAGE_PREFIX}${userId}`);
+        return QUALITY_PRESETS[name] ? name : DEFAULT_QUALITY;
+    } catch (e) {
+        // Storage can be blocked (private mode, sandboxed iframes)
+        return DEFAULT_QUALITY;
+    }
+}
+
+export function saveQuality(userId, name) {
+    try {
+        localStorage.setItem(`${QUALITY_STORAGE_PREFIX}${userId}`, name);
+    } catch (e) {
+        console.warn('⚠️ Could not persist video quality:', e);
+    }
+}
+
+// Write the preset's limits into every encoding of a video sender (no renegotiation needed)
+export async function applyEncodingLimits(sender, preset, { isScreen = false } = {}) {
+    const parameters = sender.getParameters();
+    if (!parameters.encodings || parameters.encodings.length === 0) {
+        // Some browsers only fill these in after negotiation; the caller retries once connected
+        return false;
+    }
+    parameters.encodings.forEach(encoding => {
+        encoding.maxBitrate = preset.encoding.maxBitrate;
+        encoding.maxFramerate = preset.encoding.maxFramerate;
+        // A shared screen is sent full size so text stays readable
+        encoding.scaleResolutionDownBy = isScreen ? 1 : preset.encoding.scaleResolutionDownBy;
+    });
+    parameters.degradationPreference = isScreen ? 'maintain-resolution' : preset.degradationPreference;
+    await sender.setParameters(parameters);
+    return true;
+}
@@ -1,7 +1,10 @@
-import { SOCKET_URL } from './config.js';
-import { showStatus, updateCallStatus, showCallControls, startCallTimer, stopCallTimer, resetUI } from './ui.js';
+import { SOCKET_URL, TIMEOUTS } from './config.js';
+import { emit, notifyStatus, setCallState, setCallStateLabel } from './events.js';
 import { getUserInfo } from './auth.js';
-import { handleOffer, handleAnswer, handleIceCandidate, cleanup as cleanupWebRTC, getCurrentCall, setCurrentCall, createPeerConnection, getPeerConnection, initializeMedia, getLocalStream } from './webrtc.js';
+import { validateInbound, validateOutbound, validateAck, isKnownInboundEvent, withVersion } from './protocol.js';
+import { initializeTabCoordination, closeTabCoordination, isBusyInAnotherTab } from './tabs.js';
+import { startIncomingCallAlert } from './notifications.js';
+import { acceptCall, handleOutgoingCallAnswered, handleOutgoingCallQueued, handleOffer, handleRenegotiationOffer, handleAnswer, handleIceCandidate, handleRemoteMediaSource, handleVideoUpgradeRequest, handleVideoUpgradeResponse, discardRemoteCandidates, resendPendingSignaling, cleanup as cleanupWebRTC, getCurrentCall, setCurrentCall, createPeerConnection, getPeerConnection } from './webrtc.js';
 
 export let socket = null;
 let isSocketConnected = false;
@@ -9,8 +12,17 @@ let pingInterval = null;
 let statusInterval = null;
 let currentCallId = null;
 let pendingOffers = new Map();
-let pendingCandidates = new Map();
 let autoRejectTimeouts = new Map(); // Track auto-reject timeouts for cleanup
+let ringingCall = null; // incoming-call payload of the call ringing right now
+let waitingCalls = new Map(); // callId -> incoming-call payload for callers queued behind the current call
+let protocolErrorCount = 0;
+let seenMessageIds = new Set();
+
+const SIGNAL_MAX_ATTEMPTS = 5;
+const SIGNAL_RETRY_BASE_DELAY = 1000;
+const SIGNAL_RETRY_MAX_DELAY = 8000;
+const SEEN_MESSAGE_LIMIT = 1000;
+const MAX_WAITING_CALLS = 3;
 
 export function initializeSocket() {
     const { token: userToken, role: userRole, id: userId } = getUserInfo();
@@ -31,7 +43,7 @@ export function initializeSocket() {
             token: userToken
         },
         transports: ['websocket', 'polling'],
-        timeout: 10000,
+        timeout: TIMEOUTS.socketConnect,
         withCredentials: true,
         forceNew: true,
         reconnection: true,
@@ -42,25 +54,196 @@ export function initializeSocket() {
     });
 
     setupSocketEventHandlers();
+    initializeTabCoordination(userId, handleCallHandledElsewhere, ringNextWaitingCall);
+}
+
+// Swap in a refreshed JWT without dropping the connection (or the call running over it)
+export function reauthenticateSocket(newToken) {
+    if (!socket) return;
+
+    // Used by the next (re)connection handshake
+    socket.auth = { token: newToken };
+    socket.io.opts.query = { ...socket.io.opts.query, token: newToken };
+    socket.io.opts.extraHeaders = {
+        ...socket.io.opts.extraHeaders,
+        'Authorization': `Bearer ${newToken}`
+    };
+
+    // Tell the server about the new token for the live connection
+    if (socket.connected) {
+        emitMessage('authenticate', { token: newToken });
+        console.log('🔑 Socket re-authenticated with refreshed token');
+    }
+}
+
+function reportProtocolError(direction, event, payload, errors) {
+    protocolErrorCount++;
+    console.warn('🚫 Protocol error:', {
+        direction,
+        event,
+        errors,
+        payload,
+        totalErrors: protocolErrorCount
+    });
+}
+
+// Register a handler that only sees payloads matching the protocol schema; returns the listener for socket.off
+function onMessage(event, handler) {
+    const listener = (payload, ...rest) => {
+        const { valid, errors } = validateInbound(event, payload);
+        if (!valid) {
+            reportProtocolError('inbound', event, payload, errors);
+            return;
+        }
+        if (payload && payload.messageId && isDuplicateMessage(payload.messageId)) {
+            console.log(`♻️ Ignoring redelivered "${event}" (${payload.messageId})`);
+            return;
+        }
+        return handler(payload, ...rest);
+    };
+    socket.on(event, listener);
+    return listener;
+}
+
+// Validate and version an outbound message; malformed messages are logged and never sent
+export function emitMessage(event, payload) {
+    if (!socket) {
+        console.warn(`⚠️ Cannot send "${event}" - socket not initialized`);
+        return false;
+    }
+
+    const { valid, errors } = validateOutbound(event, payload);
+    if (!valid) {
+        reportProtocolError('outbound', event, payload, errors);
+        return false;
+    }
+
+    if (payload === undefined) {
+        socket.emit(event);
+    } else {
+        socket.emit(event, withVersion(event, payload));
+    }
+    return true;
+}
+
+// Emit and wait for the server's acknowledgement, validated against ACK_RESPONSES
+function requestMessage(event, payload, timeout = TIMEOUTS.callStateRequest) {
+    return new Promise((resolve, reject) => {
+        if (!socket || !socket.connected) {
+            reject(new Error('Socket not connected'));
+            return;
+        }
+
+        const { valid, errors } = validateOutbound(event, payload);
+        if (!valid) {
+            reportProtocolError('outbound', event, payload, errors);
+            reject(new Error(`Invalid "${event}" payload`));
+            return;
+        }
+
+        socket.timeout(timeout).emit(event, withVersion(event, payload), (error, response) => {
+            if (error) {
+                reject(new Error(`No reply to "${event}" within ${timeout}ms`));
+                return;
+            }
+            const check = validateAck(event, response);
+            if (!check.valid) {
+                reportProtocolError('ack', event, response, check.errors);
+                reject(new Error(`Invalid reply to "${event}"`));
+                return;
+            }
+            resolve(response);
+        });
+    });
+}
+
+// Signaling: each message carries a messageId and is resent with backoff until the server acks it.
+// Resends reuse the messageId, so the server and the peer can drop the copies.
+export async function sendSignal(event, payload) {
+    const message = { ...payload, messageId: createMessageId() };
+
+    for (let attempt = 1; attempt <= SIGNAL_MAX_ATTEMPTS; attempt++) {
+        if (!socket) {
+            console.warn(`⚠️ Cannot send "${event}" - socket not initialized`);
+            return false;
+        }
+
+        try {
+            const response = await requestMessage(event, message, TIMEOUTS.signalAck);
+            if (!response.success) {
+                // The server understood and refused (e.g. call already ended) - resending won't help
+                console.warn(`⚠️ Server rejected "${event}":`, response.message);
+                return false;
+            }
+            if (attempt > 1) {
+                console.log(`✅ "${event}" delivered on attempt ${attempt}`);
+            }
+            return true;
+        } catch (error) {
+            console.warn(`⚠️ "${event}" attempt ${attempt}/${SIGNAL_MAX_ATTEMPTS} failed:`, error.message);
+            if (attempt < SIGNAL_MAX_ATTEMPTS) {
+                const delay = Math.min(SIGNAL_RETRY_BASE_DELAY * 2 ** (attempt - 1), SIGNAL_RETRY_MAX_DELAY);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    console.error(`❌ "${event}" was not delivered after ${SIGNAL_MAX_ATTEMPTS} attempts`);
+    notifyStatus('Connection to the server is unreliable - the call may not connect', true);
+    return false;
+}
+
+function createMessageId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Remember recently seen inbound messageIds so redelivered signaling is handled once
+function isDuplicateMessage(messageId) {
+    if (seenMessageIds.has(messageId)) {
+        return true;
+    }
+    seenMessageIds.add(messageId);
+    if (seenMessageIds.size > SEEN_MESSAGE_LIMIT) {
+        seenMessageIds.delete(seenMessageIds.values().next().value);
+    }
+    return false;
 }
 
 function setupSocketEventHandlers() {
     const { role: userRole, id: userId } = getUserInfo();
 
+    // Anything the schema doesn't know about is logged rather than silently ignored
+    socket.onAny((event, payload) => {
+        if (!isKnownInboundEvent(event)) {
+            reportProtocolError('inbound', event, payload, [`unknown inbound event "${event}"`]);
+        }
+    });
+
+    let hasConnected = false;
+
     socket.on('connect', () => {
         isSocketConnected = true;
-        showStatus('Connected to server', false);
+        if (hasConnected) {
+            notifyStatus('Reconnected to server', false);
+            resumeCall();
+        } else {
+            notifyStatus('Connected to server', false);
+        }
+        hasConnected = true;
         
         // Set up periodic ping
         if (pingInterval) clearInterval(pingInterval);
         pingInterval = setInterval(() => {
             if (socket.connected) {
-                socket.emit('ping');
+                emitMessage('ping');
             }
         }, 25000);
         
         // Emit user info for debugging
-        socket.emit('debug-info', {
+        emitMessage('debug-info', {
             role: userRole,
             userId: userId,
             connectionId: socket.id
@@ -74,99 +257,81 @@ function setupSocketEventHandlers() {
             
             // Set up periodic status updates
             if (statusInterval) clearInterval(statusInterval);
-            statusInterval = setInterval(updateStaffStatus, 30000);
+            statusInterval = setInterval(() => updateStaffStatus(), 30000);
         }
     });
 
-    socket.on('disconnect', () => {
-        console.log('❌ Disconnected from socket server');
+    socket.on('disconnect', (reason) => {
+        console.log('❌ Disconnected from socket server:', reason);
         isSocketConnected = false;
-        showStatus('Disconnected from server - attempting to reconnect...', true);
-        
         clearIntervals();
+
+        // We closed it ourselves (logout or re-initialisation) - don't fight it
+        if (reason === 'io client disconnect') {
+            return;
+        }
+
+        notifyStatus('Disconnected from server - attempting to reconnect...', true);
         
         // Attempt to reconnect
         setTimeout(() => {
-            if (!socket.connected) {
+            if (socket && !socket.connected) {
                 console.log('🔄 Attempting to reconnect...');
                 socket.connect();
             }
         }, 1000);
     });
 
-    socket.on('reconnect', (attemptNumber) => {
+    // Reconnection is a Manager event; the 'connect' handler above resumes the call
+    socket.io.on('reconnect', (attemptNumber) => {
         console.log('🔄 Reconnected after', attemptNumber, 'attempts');
-        isSocketConnected = true;
-        showStatus('Reconnected to server', false);
-        
-        if (userRole === 'STAFF') {
-            updateStaffStatus();
-        }
     });
 
     // Call-specific events
-    socket.on('user-joined', handleUserJoined);
-    socket.on('user-disconnected', handleUserDisconnected);
-    socket.on('call-initiated', handleCallInitiated);
-    socket.on('call-accepted', handleCallAccepted);
-    socket.on('call-rejected', handleCallRejected);
-    socket.on('call-started', handleCallStarted);
-    socket.on('call-ended', handleCallEnded);
-    socket.on('call-error', handleCallError);
-    socket.on('call-quality-alert', handleCallQualityAlert);
-    socket.on('call-cost-warning', handleCallCostWarning);
-    socket.on('call-force-ended', handleCallForceEnded);
+    onMessage('user-joined', handleUserJoined);
+    onMessage('user-disconnected', handleUserDisconnected);
+    onMessage('call-initiated', handleCallInitiated);
+    onMessage('call-accepted', handleCallAccepted);
+    onMessage('call-rejected', handleCallRejected);
+    onMessage('call-started', handleCallStarted);
+    onMessage('call-ended', handleCallEnded);
+    onMessage('call-error', handleCallError);
+    onMessage('call-quality-alert', handleCallQualityAlert);
+    onMessage('call-cost-warning', handleCallCostWarning);
+    onMessage('call-cost-update', handleCallCostUpdate);
+    onMessage('call-force-ended', handleCallForceEnded);
+    onMessage('call-handled-elsewhere', handleCallHandledElsewhere);
+    onMessage('call-queued', handleCallQueued);
+    onMessage('call-cancelled', handleCallCancelled);
     // Variables are now at module scope
 
-    socket.on('incoming-call', async (data) => {
+    onMessage('incoming-call', async (data) => {
         console.log('📞 Incoming call received:', data);
-        currentCallId = data.callId;
-        
-        // Staff must join the call room when receiving incoming call
-        socket.emit('join-call', { callId: data.callId });
-        
-        // Check for pending offer
-        const pendingOffer = pendingOffers.get(data.callId);
-        if (pendingOffer) {
-            console.log('📥 Found pending offer for call:', data.callId);
-            // Don't delete yet - keep it for manual processing
-            data.offer = pendingOffer;
-        }
-
-        const success = await handleIncomingCall(data);
-        
-        if (success) {
-            // Store the offer for later processing (when staff manually accepts)
-            if (data.offer) {
-                console.log('📦 Storing offer for manual acceptance');
-                pendingOffers.set(data.callId, data.offer);
-            } else {
-                console.log('⏳ No offer yet, waiting for offer to arrive...');
-            }
 
-            // Store any pending ICE candidates for later processing
-            const candidates = pendingCandidates.get(data.callId) || [];
-            if (candidates.length > 0) {
-                console.log(`📦 Storing ${candidates.length} ICE candidates for manual acceptance`);
-                // Keep them in pendingCandidates - don't process yet
-            }
+        // Already ringing or on a call, here or in another tab: this caller waits in the queue instead
+        const currentCall = getCurrentCall();
+        if ((currentCall && String(currentCall.id) !== String(data.callId)) || isBusyInAnotherTab()) {
+            queueIncomingCall(data);
+            return;
         }
+
+        await ringIncomingCall(data);
     });
 
-    socket.on('initiate-call', async (data) => {
+    onMessage('initiate-call', async (data) => {
         console.log('📞 Call initiation received:', data);
         currentCallId = data.callId;
         
         // Join the call room first
-        socket.emit('join-call', { callId: data.callId });
+        emitMessage('join-call', { callId: data.callId });
         
         // Then handle the incoming call
         await handleIncomingCall(data);
     });
 
-    socket.on('staff-unavailable', handleStaffUnavailable);
+    onMessage('staff-unavailable', handleStaffUnavailable);
 
-    socket.on('offer', async (data) => {
+    onMessage('offer', async (data) => {
         if (!currentCallId) {
             console.log('📦 Storing offer as pending for call:', data.callId);
             pendingOffers.set(data.callId, data.offer);
@@ -174,6 +339,13 @@ function setupSocketEventHandlers() {
         }
 
         if (data.callId === currentCallId) {
+            // Mid-call offers (either side) renegotiate the existing connection
+            const existingConnection = getPeerConnection();
+            if (existingConnection && existingConnection.remoteDescription) {
+                await handleRenegotiationOffer(data);
+                return;
+            }
+
             // Check if call has been manually accepted by staff
             const currentCall = getCurrentCall();
             if (currentCall && currentCall.status === 'ACCEPTED') {
@@ -186,17 +358,8 @@ function setupSocketEventHandlers() {
                     await createPeerConnection();
                 }
                 
-                // Handle the offer
+                // Handle the offer (queued ICE candidates are applied once it is set)
                 await handleOffer(data);
-
-                // Process any buffered ICE candidates
-                console.log(`📡 Processing ${bufferedIceCandidates.length} buffered ICE candidates`);
-                while (bufferedIceCandidates.length > 0) {
-                    const candidate = bufferedIceCandidates.shift();
-                    if (candidate.callId === currentCallId) {
-                        await handleIceCandidate(candidate);
-                    }
-                }
             } else {
                 console.log('📦 Offer not accepted yet, storing as pending');
                 pendingOffers.set(data.callId, data.offer);
@@ -206,28 +369,18 @@ function setupSocketEventHandlers() {
         }
     });
 
-    socket.on('ice-candidate', async (data) => {
-        if (!currentCallId || data.callId !== currentCallId) {
-            const candidates = pendingCandidates.get(data.callId) || [];
-            candidates.push(data);
-            pendingCandidates.set(data.callId, candidates);
-            return;
-        }
-
-        const peerConnection = getPeerConnection();
-        if (!peerConnection) {
-            bufferedIceCandidates.push(data);
-        } else {
-            await handleIceCandidate(data);
-        }
-    });
-    socket.on('answer', (data) => {
+    // Candidates that arrive before their call's remote description are queued in webrtc.js
+    onMessage('ice-candidate', handleIceCandidate);
+    onMessage('media-source', handleRemoteMediaSource);
+    onMessage('video-upgrade-request', handleVideoUpgradeRequest);
+    onMessage('video-upgrade-response', handleVideoUpgradeResponse);
+    onMessage('answer', (data) => {
         console.log('📝 Received answer:', data);
         handleAnswer(data);
     });
 
     // Handle processing pending offers after manual acceptance
-    socket.on('process-pending-offer', async (data) => {
+    onMessage('process-pending-offer', async (data) => {
         console.log('📥 SOCKET HANDLER: process-pending-offer received for call:', data.callId);
         console.log('🔄 Processing pending offer for call:', data.callId);
         const pendingOffer = pendingOffers.get(data.callId);
@@ -251,16 +404,6 @@ function setupSocketEventHandlers() {
                 } catch (error) {
                     console.error('❌ Error processing pending offer:', error);
                 }
-                
-                // Process any pending ICE candidates
-                const candidates = pendingCandidates.get(data.callId) || [];
-                if (candidates.length > 0) {
-                    console.log(`📡 Processing ${candidates.length} pending ICE candidates`);
-                    for (const candidate of candidates) {
-                        await handleIceCandidate(candidate);
-                    }
-                    pendingCandidates.delete(data.callId);
-                }
             }
         } else {
             console.log('⚠️ No pending offer found for call:', data.callId);
@@ -270,110 +413,83 @@ function setupSocketEventHandlers() {
     });
 }
 
+// Rejoin the call room, ask the server whether the call survived, and resend signaling we may have lost
+async function resumeCall() {
+    const call = getCurrentCall();
+    const callId = currentCallId || (call && call.id);
+    if (!callId) return;
+
+    console.log('🔄 Resuming call after reconnect:', callId);
+    emitMessage('join-call', { callId });
+
+    let callState;
+    try {
+        callState = await requestMessage('get-call-state', { callId });
+    } catch (error) {
+        // Keep the call; ICE recovery ends it if the media path is really gone
+        console.warn('⚠️ Could not fetch call state after reconnect:', error.message);
+        resendPendingSignaling();
+        return;
+    }
+
+    // The call may have moved on while we were waiting
+    const latestCall = getCurrentCall();
+    if (!latestCall || String(latestCall.id) !== String(callId)) return;
+
+    if (!callState.active) {
+        console.log('🛑 Server says the call is over:', callState.status || callState.message);
+        notifyStatus('The call ended while you were offline', true);
+        resetCall();
+        return;
+    }
+
+    resendPendingSignaling();
+}
+
 function clearIntervals() {
     if (pingInterval) clearInterval(pingInterval);
     if (statusInterval) clearInterval(statusInterval);
+    pingInterval = null;
+    statusInterval = null;
 }
 
-function updateStaffStatus() {
+function updateStaffStatus(status = 'online') {
     const { id: userId } = getUserInfo();
     if (socket && socket.connected) {
-        socket.emit('staff-status-update', {
-            status: 'online',
+        emitMessage('staff-status-update', {
+            status: status,
             staffId: userId,
             timestamp: new Date().toISOString()
         });
     }
 }
 
-// Global variable to track selected staff
-let selectedStaffId = null;
+// Tear down the socket for logout: staff go offline first, then every timer and pending call state is dropped
+export function disconnectSocket() {
+    const { role: userRole } = getUserInfo();
 
-function createStaffCard(staff) {
-    const card = document.createElement('div');
-    card.className = 'staff-card';
-    card.dataset.staffId = staff.id;
-    
-    // Determine status class and availability
-    let statusClass = 'offline';
-    let statusText = 'OFFLINE';
-    let isAvailable = false;
-    
-    if (staff.status === 'online') {
-        if (staff.busy) {
-            statusClass = 'busy';
-            statusText = 'BUSY';
-        } else {
-            statusClass = 'available';
-            statusText = 'AVAILABLE';
-            isAvailable = true;
-        }
-    }
-    
-    card.classList.add(statusClass);
-    
-    // Create card content
-    card.innerHTML = `
-        <div class="staff-status ${statusClass}"></div>
-        <div class="staff-name">${staff.name}</div>
-        <div class="staff-rating">⭐ ${staff.ratings} Rating</div>
-        <div class="staff-pricing">💰 ${staff.pricing}</div>
-        <div class="staff-status-text ${statusClass}">${statusText}</div>
-    `;
-    
-    // Add click handler only for available staff
-    if (isAvailable) {
-        card.addEventListener('click', () => selectStaff(staff));
-    }
-    
-    return card;
-}
+    clearIntervals();
+    cleanupStaffListeners();
 
-function selectStaff(staff) {
-    // Remove previous selection
-    document.querySelectorAll('.staff-card').forEach(card => {
-        card.classList.remove('selected');
-    });
-    
-    // Select new staff
-    const selectedCard = document.querySelector(`[data-staff-id="${staff.id}"]`);
-    if (selectedCard) {
-        selectedCard.classList.add('selected');
-    }
-    
-    // Update selected staff info
-    selectedStaffId = staff.id;
-    const selectedStaffInfo = document.getElementById('selectedStaffInfo');
-    const selectedStaffName = document.getElementById('selectedStaffName');
-    const selectedStaffRate = document.getElementById('selectedStaffRate');
-    const selectedStaffRating = document.getElementById('selectedStaffRating');
-    
-    selectedStaffName.textContent = staff.name;
-    selectedStaffRate.textContent = staff.pricing;
-    selectedStaffRating.textContent = `⭐ ${staff.ratings}`;
-    
-    selectedStaffInfo.classList.remove('hidden');
-    
-    // Add class to staff selection to reduce grid height
-    const staffSelection = document.getElementById('staffSelection');
-    if (staffSelection) {
-        staffSelection.classList.add('has-selected');
-    }
-    
-    // Ensure call buttons are visible (they're now always visible at bottom)
-    // Just scroll the content area if needed
-    setTimeout(() => {
-        const controlsContent = document.querySelector('.controls-content');
-        if (controlsContent) {
-            controlsContent.scrollTop = controlsContent.scrollHeight;
-        }
-    }, 150);
-    
-    console.log('📋 Selected staff:', staff.name, 'ID:', staff.id);
-}
+    autoRejectTimeouts.forEach(timeout => clearTimeout(timeout));
+    autoRejectTimeouts.clear();
+    pendingOffers.clear();
+    waitingCalls.clear();
+    ringingCall = null;
+    emit('queue', { calls: [] });
+    discardRemoteCandidates();
+    seenMessageIds.clear();
+    closeTabCoordination();
+    currentCallId = null;
 
-export function getSelectedStaffId() {
-    return selectedStaffId;
+    if (socket) {
+        if (userRole === 'STAFF') {
+            updateStaffStatus('offline');
+        }
+        socket.disconnect();
+        socket = null;
+    }
+    isSocketConnected = false;
 }
 
 // Direct function to process pending offers (bypass socket event)
@@ -396,16 +512,6 @@ export async function processPendingOfferDirectly(callId) {
                     fromName: currentCall.caller?.name
                 });
                 console.log('✅ Offer processed successfully (direct)');
-                
-                // Process any pending ICE candidates
-                const candidates = pendingCandidates.get(callId) || [];
-                if (candidates.length > 0) {
-                    console.log(`📡 Processing ${candidates.length} pending ICE candidates (direct)`);
-                    for (const candidate of candidates) {
-                        await handleIceCandidate(candidate);
-                    }
-                    pendingCandidates.delete(callId);
-                }
                 return true;
             } catch (error) {
                 console.error('❌ Error processing pending offer directly:', error);
@@ -428,7 +534,7 @@ let staffUpdateHandler = null;
 
 export async function fetchAvailableStaff() {
     if (!socket || !isSocketConnected) {
-        showStatus('Socket not connected. Reconnecting...', true);
+        notifyStatus('Socket not connected. Reconnecting...', true);
         return;
     }
 
@@ -441,30 +547,19 @@ export async function fetchAvailableStaff() {
     }
 
     // Define handlers
-    staffDataHandler = (response) => {        
-        const staffGrid = document.getElementById('staffGrid');
-        const staffSelection = document.getElementById('staffSelection');
-        
-        // Show the staff selection div
-        staffSelection.classList.remove('hidden');
-        
-        staffGrid.innerHTML = '';
-        
+    staffDataHandler = (response) => {
         if (response.success && response.data && Array.isArray(response.data.staff)) {
             const staffArray = response.data.staff;
-            
-            staffArray.forEach(staff => {
-                const staffCard = createStaffCard(staff);
-                staffGrid.appendChild(staffCard);
-            });
+            emit('staff', { staff: staffArray });
             
             const availableCount = staffArray.filter(s => s.status === 'online' && !s.busy).length;
             const busyCount = staffArray.filter(s => s.status === 'online' && s.busy).length;
             const offlineCount = staffArray.filter(s => s.status !== 'online').length;
             
-            showStatus(`Staff Status: ${availableCount} Available, ${busyCount} Busy, ${offlineCount} Offline`, false);
+            notifyStatus(`Staff Status: ${availableCount} Available, ${busyCount} Busy, ${offlineCount} Offline`, false);
         } else {
-            showStatus('No staff data available', true);
+            emit('staff', { staff: [] });
+            notifyStatus('No staff data available', true);
         }
     };
 
@@ -475,18 +570,201 @@ export async function fetchAvailableStaff() {
             update.type === 'staff-busy-status' || 
             update.type === 'staff-available-status') {
             // Refresh the staff list to show updated status
-            socket.emit('get-staff');
+            emitMessage('get-staff');
         }
     };
 
-    // Listen for staff data response and updates
-    socket.on('staff-data', staffDataHandler);
-    socket.on('staff-update', staffUpdateHandler);
+    // Listen for staff data response and updates (keep the validated listeners for socket.off)
+    staffDataHandler = onMessage('staff-data', staffDataHandler);
+    staffUpdateHandler = onMessage('staff-update', staffUpdateHandler);
 
     // Subscribe to staff updates and get initial list
-    socket.emit('subscribe-staff-updates');
-    socket.emit('get-staff');
-    showStatus('Fetching staff list...', false);
+    emitMessage('subscribe-staff-updates');
+    emitMessage('get-staff');
+    notifyStatus('Fetching staff list...', false);
+}
+
+// Ask for a fresh staff list; the answer arrives as a 'staff' event
+export function refreshStaffList() {
+    if (!socket || !isSocketConnected) {
+        return false;
+    }
+    return emitMessage('get-staff');
+}
+
+async function ringIncomingCall(data) {
+    currentCallId = data.callId;
+    // Kept if the call goes back to the queue, so the caller keeps their place
+    ringingCall = { ...data, waitingSince: data.waitingSince || Date.now() };
+    
+    // Staff must join the call room when receiving incoming call
+    emitMessage('join-call', { callId: data.callId });
+    
+    // Check for pending offer
+    const pendingOffer = pendingOffers.get(data.callId);
+    if (pendingOffer) {
+        console.log('📥 Found pending offer for call:', data.callId);
+        // Don't delete yet - keep it for manual processing
+        data.offer = pendingOffer;
+    }
+
+    const success = await handleIncomingCall(data);
+    
+    if (success) {
+        // Store the offer for later processing (when staff manually accepts)
+        if (data.offer) {
+            console.log('📦 Storing offer for manual acceptance');
+            pendingOffers.set(data.callId, data.offer);
+        } else {
+            console.log('⏳ No offer yet, waiting for offer to arrive...');
+        }
+    }
+}
+
+// --- Call waiting (staff) ---
+
+function queueIncomingCall(data) {
+    if (waitingCalls.has(data.callId)) return;
+
+    if (waitingCalls.size >= MAX_WAITING_CALLS) {
+        console.log('📵 Call queue full, answering busy:', data.callId);
+        sendSignal('call-reject', {
+            callId: data.callId,
+            targetUserId: data.caller.id,
+            reason: 'Staff is busy with other callers'
+        });
+        return;
+    }
+
+    if (data.offer) {
+        pendingOffers.set(data.callId, data.offer);
+    }
+    // Longest-waiting first: a requeued caller goes back to their place, not to the end
+    const waiting = { ...data, waitingSince: data.waitingSince || Date.now(), position: null };
+    waitingCalls = new Map([...waitingCalls, [data.callId, waiting]]
+        .sort(([, a], [, b]) => a.waitingSince - b.waitingSince));
+    startWaitingTimeout(data.callId);
+    notifyStatus(`${data.caller?.name || 'User'} is waiting`, false);
+    publishQueue();
+}
+
+function startWaitingTimeout(callId) {
+    autoRejectTimeouts.set(callId, setTimeout(() => {
+        const waiting = waitingCalls.get(callId);
+        if (!waiting) return;
+        console.log(`⏰ ${waiting.caller?.name || 'Caller'} waited too long, releasing them`);
+        sendSignal('call-reject', {
+            callId,
+            targetUserId: waiting.caller.id,
+            reason: 'No answer while waiting in queue'
+        });
+        dropWaitingCall(callId);
+    }, TIMEOUTS.callWaiting));
+}
+
+function removeWaitingCall(callId) {
+    const waiting = waitingCalls.get(callId);
+    if (!waiting) return null;
+
+    waitingCalls.delete(callId);
+    if (autoRejectTimeouts.has(callId)) {
+        clearTimeout(autoRejectTimeouts.get(callId));
+        autoRejectTimeouts.delete(callId);
+    }
+    publishQueue();
+    return waiting;
+}
+
+// The caller is gone (hung up, rejected, handled elsewhere): forget their signaling too
+function dropWaitingCall(callId) {
+    if (!removeWaitingCall(callId)) return false;
+    pendingOffers.delete(callId);
+    discardRemoteCandidates(callId);
+    return true;
+}
+
+// Tell the UI and every waiting caller whose position changed
+function publishQueue() {
+    let position = 0;
+    waitingCalls.forEach((waiting) => {
+        position++;
+        if (waiting.position !== position) {
+            waiting.position = position;
+            sendSignal('call-waiting', {
+                callId: waiting.callId,
+                targetUserId: waiting.caller.id,
+                position
+            });
+        }
+    });
+
+    emit('queue', {
+        calls: [...waitingCalls.values()].map(waiting => ({
+            callId: waiting.callId,
+            caller: waiting.caller,
+            callDetails: waiting.callDetails || {},
+            waitingSince: waiting.waitingSince,
+            position: waiting.position
+        }))
+    });
+}
+
+// Once the current call is over, the longest-waiting caller starts ringing - unless another tab
+// is on a call, in which case this runs again when that one ends
+function ringNextWaitingCall() {
+    if (getCurrentCall() || waitingCalls.size === 0 || isBusyInAnotherTab()) return;
+    const [callId] = waitingCalls.keys();
+    const next = removeWaitingCall(callId);
+    ringIncomingCall(next);
+}
+
+export function getWaitingCalls() {
+    return [...waitingCalls.values()];
+}
+
+// Staff picked a waiting caller: the call ringing now (if any) goes back to the queue
+export async function acceptWaitingCall(callId) {
+    if (!waitingCalls.has(callId)) {
+        notifyStatus('That caller is no longer waiting', true);
+        return false;
+    }
+
+    const currentCall = getCurrentCall();
+    if (currentCall && currentCall.status !== 'INCOMING') {
+        notifyStatus('End the current call before taking another caller', true);
+        return false;
+    }
+
+    // Take the picked caller out first, so a full queue still has room for the one ringing now
+    const picked = removeWaitingCall(callId);
+    if (currentCall && ringingCall) {
+        const requeued = ringingCall;
+        if (autoRejectTimeouts.has(requeued.callId)) {
+            clearTimeout(autoRejectTimeouts.get(requeued.callId));
+            autoRejectTimeouts.delete(requeued.callId);
+        }
+        setCurrentCall(null);
+        currentCallId = null;
+        ringingCall = null;
+        queueIncomingCall(requeued);
+    }
+
+    await ringIncomingCall(picked);
+    await acceptCall();
+    return true;
+}
+
+export function rejectWaitingCall(callId) {
+    const waiting = waitingCalls.get(callId);
+    if (!waiting) return false;
+
+    sendSignal('call-reject', {
+        callId,
+        targetUserId: waiting.caller.id,
+        reason: 'Call rejected by staff'
+    });
+    dropWaitingCall(callId);
+    return true;
 }
 
 // Cleanup function for staff listeners
@@ -506,12 +784,16 @@ export function cleanupStaffListeners() {
 // Socket event handlers
 function handleUserJoined(data) {
     console.log('User joined call:', data);
-    showStatus(`${data.userName} joined the call`, false);
+    notifyStatus(`${data.userName} joined the call`, false);
 }
 
 function handleUserDisconnected(data) {
     console.log('User disconnected:', data);
-    showStatus(`${data.disconnectedUserName} disconnected`, true);
+    if (data.callId && dropWaitingCall(data.callId)) {
+        notifyStatus(`${data.disconnectedUserName} left the queue`, false);
+        return;
+    }
+    notifyStatus(`${data.disconnectedUserName} disconnected`, true);
     cleanupWebRTC();
     resetCall();
 }
@@ -519,36 +801,21 @@ function handleUserDisconnected(data) {
 function handleCallInitiated(data) {
     console.log('Call initiated:', data);
     setCurrentCall(data.call);
-    showStatus('Call initiated', false);
+    notifyStatus('Call initiated', false);
 }
 
 async function handleCallAccepted(data) {
     // CRITICAL: Set the current call ID for the user side
     currentCallId = data.callId;
+    handleOutgoingCallAnswered();
     
-    // Process any pending ICE candidates now that call is accepted
-    const candidates = pendingCandidates.get(data.callId) || [];
-    if (candidates.length > 0) {
-        console.log(`Processing ${candidates.length} pending ICE candidates after call acceptance`);
-        // Fix: Use for...of loop to properly await each candidate
-        for (const candidate of candidates) {
-            try {
-                await handleIceCandidate(candidate);
-            } catch (error) {
-                console.error('Error processing pending ICE candidate:', error);
-            }
-        }
-        pendingCandidates.delete(data.callId);
-    }
-    
-    showStatus(`Call accepted by ${data.acceptedByName}`, false);
-    showCallControls('connected');
-    startCallTimer();
+    notifyStatus(`Call accepted by ${data.acceptedByName}`, false);
+    setCallState('connecting', 'Call accepted, connecting...');
 }
 
 function handleCallRejected(data) {
     console.log('Call rejected:', data);
-    showStatus(`Call rejected by ${data.rejectedByName}: ${data.reason}`, true);
+    notifyStatus(`Call rejected by ${data.rejectedByName}: ${data.reason}`, true);
     resetCall();
 }
 
@@ -558,46 +825,105 @@ function handleCallStarted(data) {
     if (currentCall) {
         currentCall.startTime = data.startTime;
     }
-    showStatus('Call connected', false);
+    notifyStatus('Call connected', false);
 }
 
 function handleCallEnded(data) {
     console.log('Call ended:', data);
-    showStatus(`Call ended. Duration: ${data.duration}s, Cost: ${data.cost} coins`, false);
+    if (data.callId && dropWaitingCall(data.callId)) {
+        notifyStatus('A waiting caller hung up', false);
+        return;
+    }
+    const currentCall = getCurrentCall();
+    if (currentCall && data.callId && String(currentCall.id) !== String(data.callId)) {
+        // Echo of a call we already ended here; the next waiting caller may be ringing by now
+        return;
+    }
+    notifyStatus(`Call ended. Duration: ${data.duration}s, Cost: ${data.cost} coins`, false);
     cleanupWebRTC();
     resetCall();
 }
 
 function handleCallError(error) {
     console.error('Call error:', error);
-    showStatus(error.message || 'Call error occurred', true);
+    notifyStatus(error.message || 'Call error occurred', true);
     resetCall();
 }
 
 function handleCallQualityAlert(data) {
     console.log('Call quality alert:', data);
-    showStatus(`Call quality issue: ${data.message}`, true);
+    notifyStatus(`Call quality issue: ${data.message}`, true);
 }
 
 function handleCallCostWarning(data) {
     console.log('Call cost warning:', data);
-    showStatus(`Cost warning: ${data.message}`, true);
+    emit('cost', { callId: data.callId, warning: data.message, remainingBalance: data.remainingBalance });
+    notifyStatus(`Cost warning: ${data.message}`, true);
+}
+
+function handleCallCostUpdate(data) {
+    emit('cost', { callId: data.callId, cost: data.cost, duration: data.duration });
+}
+
+// Another tab (BroadcastChannel) or device (server) accepted or rejected the call ringing here
+function handleCallHandledElsewhere(data) {
+    if (dropWaitingCall(data.callId)) {
+        return;
+    }
+    pendingOffers.delete(data.callId);
+
+    const currentCall = getCurrentCall();
+    if (!currentCall || String(currentCall.id) !== String(data.callId) || currentCall.status !== 'INCOMING') {
+        return;
+    }
+
+    console.log(`📵 Call ${data.callId} ${data.action} elsewhere`);
+    notifyStatus(data.action === 'accepted' ? 'Call answered elsewhere' : 'Call declined elsewhere', false);
+    // A tab that accepted is already counted as busy here, so resetCall leaves the queue waiting
+    resetCall();
+}
+
+// Staff side: the caller hung up (or gave up) before we answered
+function handleCallCancelled(data) {
+    const callerName = data.cancelledByName || 'The caller';
+    if (dropWaitingCall(data.callId)) {
+        notifyStatus(`${callerName} stopped waiting`, false);
+        return;
+    }
+
+    const currentCall = getCurrentCall();
+    if (!currentCall || String(currentCall.id) !== String(data.callId)) {
+        pendingOffers.delete(data.callId);
+        discardRemoteCandidates(data.callId);
+        return;
+    }
+
+    notifyStatus(data.reason === 'no-answer' ? `Missed call from ${callerName}` : `${callerName} cancelled the call`, false);
+    resetCall();
+}
+
+// Caller side: the staff member is on another call and we are waiting in their queue
+function handleCallQueued(data) {
+    const currentCall = getCurrentCall();
+    if (!currentCall || String(currentCall.id) !== String(data.callId)) return;
+
+    handleOutgoingCallQueued();
+    notifyStatus(`Staff is on another call - you are #${data.position} in line`, false);
+    setCallStateLabel(`Waiting in queue (#${data.position})...`);
 }
 
 function handleCallForceEnded(data) {
     console.log('Call force ended:', data);
-    showStatus(`Previous call ended: ${data.reason}`, false);
+    if (data.callId && dropWaitingCall(data.callId)) {
+        return;
+    }
+    notifyStatus(`Previous call ended: ${data.reason}`, false);
     resetCall();
 }
 
 async function handleIncomingCall(data) {
     try {
-        let localStream = getLocalStream();
-        if (!localStream) {
-            await initializeMedia();
-            localStream = getLocalStream();
-        }
-        
+        // No media here: every tab of the account rings, only the one that accepts takes the camera (see acceptCall)
         const callDetails = { 
             id: data.callId, 
             caller: data.caller,
@@ -608,32 +934,29 @@ async function handleIncomingCall(data) {
         };
         setCurrentCall(callDetails);
         
-        await createPeerConnection();
-        
-        // Show call section and controls
-        document.getElementById('callSection').classList.remove('hidden');
-        const staffSelection = document.getElementById('staffSelection');
-        if (staffSelection) staffSelection.classList.add('hidden');
-        
-        updateCallStatus(`Incoming call from ${data.caller?.name || 'User'}`);
-        showStatus(`${data.caller?.name || 'User'} is calling you`, false);
-        
-        // Show accept/reject buttons
-        const acceptBtn = document.getElementById('acceptCallBtn');
-        const rejectBtn = document.getElementById('rejectCallBtn');
-        if (acceptBtn && rejectBtn) {
-            acceptBtn.classList.remove('hidden');
-            rejectBtn.classList.remove('hidden');
-        }
-        
-        document.getElementById('startCallBtn')?.classList.add('hidden');
-        document.getElementById('endCallBtn')?.classList.add('hidden');
+        // The peer connection is only created by the tab that accepts (see acceptCall)
+        emit('incoming', {
+            callId: data.callId,
+            caller: data.caller,
+            callDetails: data.callDetails || {}
+        });
+        const callKind = data.callDetails?.mode === 'audio' ? 'audio call' : 'call';
+        setCallState('incoming', `Incoming ${callKind} from ${data.caller?.name || 'User'}`);
+        notifyStatus(`${data.caller?.name || 'User'} is calling you`, false);
+        // Ringtone and system notification; both stop once the call leaves the incoming state
+        startIncomingCallAlert({ callId: data.callId, callerName: data.caller?.name });
         
-        // Auto-reject after 60 seconds
+        // Auto-reject if the call is not answered in time
         const autoRejectTimeout = setTimeout(() => {
             const currentCall = getCurrentCall();
             if (currentCall && currentCall.id === data.callId && currentCall.status === 'INCOMING') {
-                console.log('⏰ Auto-rejecting call after 60 seconds');
+                console.log(`⏰ Auto-rejecting call after ${TIMEOUTS.incomingCallRing / 1000} seconds`);
+                // Let the caller know too instead of leaving them ringing
+                sendSignal('call-reject', {
+                    callId: data.callId,
+                    targetUserId: data.caller.id,
+                    reason: 'No answer'
+                });
                 handleCallRejected({
                     callId: data.callId,
                     rejectedByName: 'System',
@@ -641,7 +964,7 @@ async function handleIncomingCall(data) {
                 });
             }
             autoRejectTimeouts.delete(data.callId);
-        }, 60000);
+        }, TIMEOUTS.incomingCallRing);
         
         // Store timeout for cleanup
         autoRejectTimeouts.set(data.callId, autoRejectTimeout);
@@ -649,18 +972,19 @@ async function handleIncomingCall(data) {
         return true;
     } catch (error) {
         console.error('Error handling incoming call:', error);
-        showStatus('Failed to handle incoming call', true);
+        notifyStatus('Failed to handle incoming call', true);
         return false;
     }
 }
 
 function handleStaffUnavailable(data) {
     console.log('Staff unavailable:', data);
-    showStatus(data.message, true);
+    notifyStatus(data.message, true);
     resetCall();
 }
 
-function resetCall() {
+// Ends the call on this side: timers, room, queued signaling, media, then rings the next waiting caller
+export function resetCall() {
     // Get current call before clearing it
     const currentCall = getCurrentCall();
     
@@ -672,25 +996,30 @@ function resetCall() {
     
     // Leave call room if socket is connected
     if (socket && socket.connected && currentCall) {
-        socket.emit('leave-call', { callId: currentCall.id });
+        emitMessage('leave-call', { callId: currentCall.id });
     }
     
     // Clean up pending data for this call
     if (currentCallId) {
         pendingOffers.delete(currentCallId);
-        pendingCandidates.delete(currentCallId);
+        discardRemoteCandidates(currentCallId);
+    }
+    if (currentCall && String(currentCall.id) !== String(currentCallId)) {
+        discardRemoteCandidates(currentCall.id);
     }
     
     // Clean up WebRTC and UI
     cleanupWebRTC();
     setCurrentCall(null);
     currentCallId = null;
-    stopCallTimer();
-    resetUI();
+    ringingCall = null;
+    setCallState('idle');
+
+    ringNextWaitingCall();
 }
 
 export function emitCallStart(callId, states) {
-    socket.emit('call-start', { 
+    sendSignal('call-start', { 
         callId: callId,
         connectionType: states.connectionState,
         iceState: states.iceConnectionState
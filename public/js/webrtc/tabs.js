@@ -0,0 +1,174 @@
+import { getActiveProfile } from './config.js';
+import { on } from './events.js';
+
+// Coordinates tabs logged in to the same account: every tab rings, but only the tab holding
+// the call's Web Lock may accept it, and the others are told to stand down over a BroadcastChannel.
+// While one tab has a call in progress the others stay quiet: new callers wait in their queue
+// instead of ringing. Other devices are covered by the server's call-handled-elsewhere event.
+const tabId = typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+const BUSY_STATES = ['calling', 'connecting', 'connected'];
+
+let channel = null;
+let callLocks = new Map(); // callId -> release function
+let busyLockPrefix = null;
+let busy = false; // this tab has a call in progress
+let releaseBusyLock = null;
+let busyTabs = new Set(); // ids of the other tabs that have one
+let busyWatchers = null; // aborts the lock requests watching those tabs
+let onOtherTabsIdle = null;
+let stopWatchingState = null;
+
+export function getTabId() {
+    return tabId;
+}
+
+// onOtherTabsIdle runs when the last other tab with a call in progress ends it (or closes)
+export function initializeTabCoordination(userId, onCallHandledElsewhere, onTabsIdle) {
+    closeTabCoordination();
+    if (typeof BroadcastChannel === 'undefined') {
+        console.warn('⚠️ BroadcastChannel unavailable - tabs will not coordinate calls');
+        return;
+    }
+
+    busyLockPrefix = `takemate.busy.${getActiveProfile().name}.${userId}.`;
+    busyWatchers = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    onOtherTabsIdle = onTabsIdle;
+    channel = new BroadcastChannel(`takemate.calls.${getActiveProfile().name}.${userId}`);
+    channel.onmessage = (event) => {
+        const message = event.data;
+        if (!message || message.tabId === tabId) return;
+
+        if (message.type === 'call-handled') {
+            console.log(`🗂️ Call ${message.callId} was ${message.action} in another tab`);
+            if (message.action === 'accepted') {
+                // Before the handler runs, so ending the call here doesn't ring the next caller
+                markTabBusy(message.tabId);
+            }
+            onCallHandledElsewhere({ callId: message.callId, action: message.action });
+        } else if (message.type === 'busy') {
+            if (message.busy) markTabBusy(message.tabId);
+            else markTabIdle(message.tabId);
+        } else if (message.type === 'busy-query' && busy) {
+            channel.postMessage({ type: 'busy', busy: true, tabId });
+        }
+    };
+
+    // A tab opened mid-call learns about it from the tab that has it
+    channel.postMessage({ type: 'busy-query', tabId });
+    stopWatchingState = on('state', ({ state }) => setTabBusy(BUSY_STATES.includes(state)));
+}
+
+export function closeTabCoordination() {
+    if (stopWatchingState) {
+        stopWatchingState();
+        stopWatchingState = null;
+    }
+    if (busyWatchers) {
+        busyWatchers.abort();
+        busyWatchers = null;
+    }
+    setTabBusy(false);
+    busyTabs.clear();
+    onOtherTabsIdle = null;
+    if (channel) {
+        channel.close();
+        channel = null;
+    }
+    callLocks.forEach(release => release());
+    callLocks.clear();
+}
+
+// Tell the other tabs this call was accepted or rejected here
+export function announceCallHandled(callId, action) {
+    if (action === 'accepted') {
+        // Busy before the others hear of it, so they find our busy lock taken
+        setTabBusy(true);
+    }
+    if (channel) {
+        channel.postMessage({ type: 'call-handled', callId, action, tabId });
+    }
+}
+
+// Whether another tab of this account has a call in progress
+export function isBusyInAnotherTab() {
+    return busyTabs.size > 0;
+}
+
+function setTabBusy(value) {
+    if (busy === value) return;
+    busy = value;
+
+    if (busy && canUseLocks()) {
+        // Held until the call ends here; the browser also releases it if the tab closes mid-call
+        navigator.locks.request(busyLockPrefix + tabId, () => new Promise(release => {
+            releaseBusyLock = release;
+        })).catch(error => console.warn('⚠️ Could not take busy lock:', error));
+    } else if (!busy && releaseBusyLock) {
+        releaseBusyLock();
+        releaseBusyLock = null;
+    }
+
+    if (channel) {
+        channel.postMessage({ type: 'busy', busy, tabId });
+    }
+}
+
+function markTabBusy(otherTabId) {
+    if (busyTabs.has(otherTabId)) return;
+    busyTabs.add(otherTabId);
+
+    if (canUseLocks()) {
+        // Granted once that tab lets go of its busy lock: its call ended, or the tab was closed without telling us
+        navigator.locks.request(busyLockPrefix + otherTabId, { signal: busyWatchers?.signal }, () => markTabIdle(otherTabId))
+            .catch(() => {});
+    }
+}
+
+function markTabIdle(otherTabId) {
+    if (!busyTabs.delete(otherTabId)) return;
+    if (busyTabs.size === 0 && !busy && onOtherTabsIdle) {
+        console.log('🗂️ No other tab has a call in progress any more');
+        onOtherTabsIdle();
+    }
+}
+
+function canUseLocks() {
+    return Boolean(busyLockPrefix) && typeof navigator !== 'undefined' && Boolean(navigator.locks);
+}
+
+// Try to become the only tab allowed to answer this call; held until releaseCall
+export function claimCall(callId) {
+    if (callLocks.has(callId)) {
+        return Promise.resolve(true);
+    }
+    if (typeof navigator === 'undefined' || !navigator.locks) {
+        // No Web Locks: fall back to the broadcast dismissing the other tabs
+        return Promise.resolve(true);
+    }
+
+    return new Promise((resolve) => {
+        navigator.locks.request(`takemate.call.${callId}`, { ifAvailable: true }, (lock) => {
+            if (!lock) {
+                resolve(false);
+                return null;
+            }
+            resolve(true);
+            // Keep the lock until the call is over in this tab
+            return new Promise(release => callLocks.set(callId, release));
+        }).catch((error) => {
+            console.warn('⚠️ Could not take call lock:', error);
+            resolve(true);
+        });
+    });
+}
+
+export function releaseCall(callId) {
+    const release = callLocks.get(callId);
+    if (release) {
+        release();
+        callLocks.delete(callId);
+    }
+}
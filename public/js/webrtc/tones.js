@@ -0,0 +1,71 @@
+// Call progress tones generated with WebAudio, so there are no audio files to ship or autoplay
+let audioContext = null;
+let toneNodes = null;
+let toneInterval = null;
+
+function getAudioContext() {
+    const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+    if (!AudioContextClass) {
+        return null;
+    }
+    if (!audioContext) {
+        audioContext = new AudioContextClass();
+    }
+    if (audioContext.state === 'suspended') {
+        audioContext.resume().catch(() => {});
+    }
+    return audioContext;
+}
+
+// Play a mix of frequencies, switching the gain on/off per pattern ([seconds on, seconds off, ...])
+function playPattern(frequencies, pattern, volume) {
+    stopTones();
+    const context = getAudioContext();
+    if (!context) return;
+
+    const gain = context.createGain();
+    gain.gain.value = 0;
+    gain.connect(context.destination);
+
+    const oscillators = frequencies.map(frequency => {
+        const oscillator = context.createOscillator();
+        oscillator.frequency.value = frequency;
+        oscillator.connect(gain);
+        oscillator.start();
+        return oscillator;
+    });
+    toneNodes = { gain, oscillators };
+
+    const cycleLength = pattern.reduce((total, seconds) => total + seconds, 0);
+    const scheduleCycle = () => {
+        let time = context.currentTime;
+        pattern.forEach((seconds, index) => {
+            gain.gain.setValueAtTime(index % 2 === 0 ? volume : 0, time);
+            time += seconds;
+        });
+    };
+    scheduleCycle();
+    toneInterval = setInterval(scheduleCycle, cycleLength * 1000);
+}
+
+// Caller hears this while the staff member's phone rings: 400+450 Hz double ring
+export function startRingback() {
+    playPattern([400, 450], [0.4, 0.2, 0.4, 2.0], 0.08);
+}
+
+// Staff hear this for an incoming call: 440+480 Hz, longer and louder than the ringback
+export function startRingtone() {
+    playPattern([440, 480], [1.0, 0.4, 1.0, 2.0], 0.2);
+}
+
+export function stopTones() {
+    if (toneInterval) {
+        clearInterval(toneInterval);
+        toneInterval = null;
+    }
+    if (toneNodes) {
+        toneNodes.oscillators.forEach(oscillator => oscillator.stop());
+        toneNodes.gain.disconnect();
+        toneNodes = null;
+    }
+}
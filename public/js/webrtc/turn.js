@@ -0,0 +1,103 @@
+import { API_BASE_URL, TIMEOUTS, peerConfig } from './config.js';
+import { getUserInfo } from './auth.js';
+import { getPeerConnection } from './webrtc.js';
+
+// Short-lived TURN credentials (REST API for TURN: username = "<expiry>:<userId>", password = HMAC of the username)
+const DEFAULT_TURN_TTL = 3600; // seconds; used when a response carries no usable ttl
+
+let turnServer = null;
+let turnExpiresAt = 0;
+let refreshTimeout = null;
+
+export async function fetchTurnCredentials() {
+    const { token: userToken } = getUserInfo();
+    const response = await fetch(`${API_BASE_URL}/webrtc/turn-credentials`, {
+        method: 'GET',
+        headers: {
+            'Authorization': `Bearer ${userToken}`
+        }
+    });
+
+    const body = await response.json();
+    if (!response.ok || body.success === false) {
+        throw new Error(body.message || `TURN credentials request failed (${response.status})`);
+    }
+
+    // Backend wraps responses in { success, data }, the stand-in may not
+    const credentials = body.data || body;
+    if (!credentials.username || !credentials.password || !Array.isArray(credentials.uris)) {
+        throw new Error('Malformed TURN credentials response');
+    }
+
+    turnServer = {
+        urls: credentials.uris,
+        username: credentials.username,
+        credential: credentials.password
+    };
+    let ttl = Number(credentials.ttl);
+    if (!Number.isFinite(ttl) || ttl <= 0) {
+        // Treating it as already expired would re-fetch every few seconds forever
+        console.warn(`⚠️ TURN credentials came with an invalid ttl (${credentials.ttl}), assuming ${DEFAULT_TURN_TTL}s`);
+        ttl = DEFAULT_TURN_TTL;
+    }
+    turnExpiresAt = Date.now() + ttl * 1000;
+
+    console.log('🔑 TURN credentials received, valid until', new Date(turnExpiresAt).toISOString());
+    return turnServer;
+}
+
+export function getIceServers() {
+    return turnServer ? [...peerConfig.iceServers, turnServer] : [...peerConfig.iceServers];
+}
+
+export function buildPeerConfig() {
+    return {
+        ...peerConfig,
+        iceServers: getIceServers()
+    };
+}
+
+function scheduleRefresh() {
+    if (refreshTimeout) clearTimeout(refreshTimeout);
+
+    // Refresh ahead of expiry, but never busy-loop on very short TTLs
+    const delay = Math.max(turnExpiresAt - Date.now() - TIMEOUTS.turnRefreshMargin, 10000);
+    refreshTimeout = setTimeout(refreshTurnCredentials, delay);
+}
+
+async function refreshTurnCredentials() {
+    try {
+        await fetchTurnCredentials();
+
+        // Long calls keep their peer connection, so hand it the fresh credentials for future ICE restarts
+        const peerConnection = getPeerConnection();
+        if (peerConnection && peerConnection.connectionState !== 'closed') {
+            peerConnection.setConfiguration(buildPeerConfig());
+            console.log('🔑 Updated active peer connection with refreshed TURN credentials');
+        }
+    } catch (error) {
+        console.error('❌ Failed to refresh TURN credentials:', error);
+    }
+    scheduleRefresh();
+}
+
+// Called after login; failure is not fatal, calls fall back to STUN only
+export async function initializeTurnCredentials() {
+    try {
+        await fetchTurnCredentials();
+        scheduleRefresh();
+        return true;
+    } catch (error) {
+        console.warn('⚠️ Could not get TURN credentials, continuing with STUN only:', error);
+        return false;
+    }
+}
+
+export function clearTurnCredentials() {
+    if (refreshTimeout) {
+        clearTimeout(refreshTimeout);
+        refreshTimeout = null;
+    }
+    turnServer = null;
+    turnExpiresAt = 0;
+}
@@ -1,5 +1,9 @@
 let callTimer = null;
 let callStartTime = 0;
+let selectedStaffId = null;
+let queueTimer = null;
+let callControlsState = 'idle';
+let activeCallMode = null;
 
 export function showStatus(message, isError) {
     const statusDiv = document.getElementById('loginStatus');
@@ -7,17 +11,41 @@ export function showStatus(message, isError) {
     statusDiv.className = `status ${isError ? 'error' : 'success'}`;
 }
 
+export function showEnvironment(activeProfile, profiles) {
+    const badge = document.getElementById('envBadge');
+    if (badge) {
+        badge.textContent = `${activeProfile.label} · ${activeProfile.socketUrl}`;
+        badge.className = `env-badge env-${activeProfile.name}`;
+    }
+
+    const envSelect = document.getElementById('envSelect');
+    if (envSelect) {
+        envSelect.innerHTML = '';
+        Object.values(profiles).forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.name;
+            option.textContent = profile.label;
+            option.selected = profile.name === activeProfile.name;
+            envSelect.appendChild(option);
+        });
+    }
+}
+
 export function updateCallStatus(status) {
     document.getElementById('callStatus').textContent = status;
 }
 
 export function showCallControls(state) {
     const startBtn = document.getElementById('startCallBtn');
+    const cancelBtn = document.getElementById('cancelCallBtn');
     const acceptBtn = document.getElementById('acceptCallBtn');
     const rejectBtn = document.getElementById('rejectCallBtn');
     const endBtn = document.getElementById('endCallBtn');
+    callControlsState = state;
+    updateRequestVideoButton();
 
     startBtn.classList.add('hidden');
+    cancelBtn.classList.add('hidden');
     acceptBtn.classList.add('hidden');
     rejectBtn.classList.add('hidden');
     endBtn.classList.add('hidden');
@@ -31,12 +59,48 @@ export function showCallControls(state) {
             rejectBtn.classList.remove('hidden');
             break;
         case 'calling':
+            cancelBtn.classList.remove('hidden');
+            break;
+        case 'connecting':
         case 'connected':
+        case 'reconnecting':
             endBtn.classList.remove('hidden');
             break;
     }
 }
 
+export function renderCallMode(mode) {
+    activeCallMode = mode;
+    updateRequestVideoButton();
+    // Screen sharing sends video, so an audio call has to be switched to video first
+    const shareButton = document.getElementById('screenShareBtn');
+    if (shareButton) {
+        shareButton.disabled = mode === 'audio';
+    }
+}
+
+// Offered only on a connected audio call
+function updateRequestVideoButton() {
+    const button = document.getElementById('requestVideoBtn');
+    if (!button) return;
+    button.classList.toggle('hidden', !(callControlsState === 'connected' && activeCallMode === 'audio'));
+}
+
+export function renderVideoUpgrade({ direction, status, fromName }) {
+    const prompt = document.getElementById('videoUpgradePrompt');
+    const button = document.getElementById('requestVideoBtn');
+
+    const asked = direction === 'incoming' && status === 'requested';
+    prompt.classList.toggle('hidden', !asked);
+    if (asked) {
+        document.getElementById('videoUpgradeText').textContent = `${fromName || 'The other side'} wants to switch to video`;
+    }
+
+    const waiting = direction === 'outgoing' && status === 'requested';
+    button.disabled = waiting;
+    button.textContent = waiting ? 'Waiting for answer...' : 'Request Video';
+}
+
 export function startCallTimer() {
     callStartTime = Date.now();
     stopCallTimer();
@@ -64,79 +128,357 @@ export function updateCallCost(cost) {
     document.getElementById('callCost').textContent = cost.toFixed(2);
 }
 
-export function toggleMute(localStream) {
-    if (!localStream) {
-        console.warn('⚠️ No local stream available for mute toggle');
-        return;
-    }
+export function resetUI() {
+    document.getElementById('callDuration').textContent = '00:00';
+    document.getElementById('callCost').textContent = '0';
+    showCallControls('idle');
+    updateCallStatus('');
     
-    const audioTracks = localStream.getAudioTracks();
-    if (audioTracks.length === 0) {
-        console.warn('⚠️ No audio tracks available');
-        return;
+    // Reset staff selection state
+    selectedStaffId = null;
+    document.querySelectorAll('.staff-card.selected').forEach(card => card.classList.remove('selected'));
+    const staffSelection = document.getElementById('staffSelection');
+    const selectedStaffInfo = document.getElementById('selectedStaffInfo');
+    if (staffSelection) {
+        staffSelection.classList.remove('has-selected');
     }
-    
-    const audioTrack = audioTracks[0];
-    audioTrack.enabled = !audioTrack.enabled;
-    
-    const muteBtn = document.getElementById('muteBtn');
-    if (muteBtn) {
-        const iconText = muteBtn.querySelector('.btn-icon-text');
-        const btnText = muteBtn.querySelector('.btn-text');
-        if (iconText) {
-            iconText.textContent = audioTrack.enabled ? '🔇' : '🔊';
-        }
-        if (btnText) {
-            btnText.textContent = audioTrack.enabled ? 'Mute' : 'Unmute';
-        } else {
-            muteBtn.textContent = audioTrack.enabled ? 'Mute' : 'Unmute';
-        }
+    if (selectedStaffInfo) {
+        selectedStaffInfo.classList.add('hidden');
     }
+    renderCallMode(null);
+    renderVideoUpgrade({});
 }
 
-export function toggleVideo(localStream) {
-    if (!localStream) {
-        console.warn('⚠️ No local stream available for video toggle');
-        return;
+export function showSession(loggedIn, userInfo) {
+    document.getElementById('loginSection').classList.toggle('hidden', loggedIn);
+    document.getElementById('callSection').classList.toggle('hidden', !loggedIn);
+
+    // Only users pick a staff member to call
+    const staffSelection = document.getElementById('staffSelection');
+    staffSelection.classList.toggle('hidden', !loggedIn || userInfo?.role === 'STAFF');
+    if (!loggedIn) {
+        document.getElementById('staffGrid').innerHTML = '';
+        selectedStaffId = null;
     }
-    
-    const videoTracks = localStream.getVideoTracks();
-    if (videoTracks.length === 0) {
-        console.warn('⚠️ No video tracks available');
-        return;
+}
+
+export function renderCallState({ state, label }) {
+    showCallControls(state);
+    updateCallStatus(label);
+
+    if (state === 'connected') {
+        if (!callTimer) startCallTimer();
+    } else if (state === 'idle') {
+        stopCallTimer();
+        resetUI();
     }
+
+    // Staff selection is hidden while a call is ringing or running
+    const staffSelection = document.getElementById('staffSelection');
+    if (staffSelection && state === 'incoming') {
+        staffSelection.classList.add('hidden');
+    }
+}
+
+export function renderConnectionState(iceConnectionState) {
+    // Mirror the ICE state into the DOM so it can be observed without devtools (e.g. by browser automation)
+    const callStatus = document.getElementById('callStatus');
+    if (iceConnectionState) {
+        callStatus.dataset.iceState = iceConnectionState;
+    } else {
+        delete callStatus.dataset.iceState;
+    }
+}
+
+export function renderMediaState({ audioEnabled, videoEnabled }) {
+    setButtonLabel('muteBtn', audioEnabled ? '🔇' : '🔊', audioEnabled ? 'Mute' : 'Unmute');
+    setButtonLabel('videoBtn', videoEnabled ? '📹' : '📵', videoEnabled ? 'Video' : 'No Video');
+}
+
+function setButtonLabel(buttonId, icon, text) {
+    const button = document.getElementById(buttonId);
+    if (!button) return;
+
+    const iconText = button.querySelector('.btn-icon-text');
+    const btnText = button.querySelector('.btn-text');
+    if (iconText) {
+        iconText.textContent = icon;
+    }
+    if (btnText) {
+        btnText.textContent = text;
+    } else {
+        button.textContent = text;
+    }
+}
+
+export function renderScreenShareState(sharing, supported = true) {
+    const button = document.getElementById('screenShareBtn');
+    if (!button) return;
+    button.classList.toggle('hidden', !supported);
+    button.classList.toggle('active', sharing);
+    setButtonLabel('screenShareBtn', sharing ? '⏹️' : '🖥️', sharing ? 'Stop Share' : 'Share');
+}
+
+// Screens are shown whole (letterboxed) instead of cropped like a camera
+export function renderRemoteMediaSource(source) {
+    const container = document.querySelector('.remote-video');
+    if (!container) return;
+    const isScreen = source === 'screen';
+    container.classList.toggle('screen-share', isScreen);
+    const label = container.querySelector('.video-label');
+    if (label) {
+        label.textContent = isScreen ? 'Remote · Screen share' : 'Remote';
+    }
+}
+
+export function attachLocalStream(stream) {
+    document.getElementById('localVideo').srcObject = stream;
+}
+
+export function attachRemoteStream(stream) {
+    const remoteVideo = document.getElementById('remoteVideo');
+    remoteVideo.srcObject = stream;
+    if (!stream) return;
+
+    // 🔵 AUDIO DEBUG: Ensure audio plays by explicitly setting properties
+    remoteVideo.muted = false;
+    remoteVideo.volume = 1.0;
+    remoteVideo.autoplay = true;
+    remoteVideo.playsInline = true;
+
+    remoteVideo.play().then(() => {
+        console.log('✅ Remote stream playing successfully');
+    }).catch(error => {
+        console.error('❌ Remote stream autoplay failed:', error);
+        showStatus('Click the remote video to enable audio', true);
+    });
+}
+
+const DEVICE_SELECTS = {
+    audioinput: 'audioInputSelect',
+    videoinput: 'videoInputSelect',
+    audiooutput: 'audioOutputSelect'
+};
+
+export function renderDevices({ devices, selected, canSelectOutput }) {
+    Object.entries(DEVICE_SELECTS).forEach(([kind, selectId]) => {
+        const select = document.getElementById(selectId);
+        if (!select) return;
+
+        select.innerHTML = '';
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = 'Default';
+        select.appendChild(defaultOption);
+
+        devices.filter(device => device.kind === kind && device.deviceId !== 'default').forEach(device => {
+            const option = document.createElement('option');
+            option.value = device.deviceId;
+            option.textContent = device.label;
+            select.appendChild(option);
+        });
+        select.value = selected[kind] && select.querySelector(`option[value="${CSS.escape(selected[kind])}"]`)
+            ? selected[kind]
+            : '';
+    });
+
+    const outputGroup = document.getElementById('audioOutputGroup');
+    if (outputGroup) {
+        outputGroup.classList.toggle('hidden', !canSelectOutput);
+    }
+}
+
+export function renderQuality({ quality, presets }) {
+    const select = document.getElementById('qualitySelect');
+    if (!select) return;
+
+    select.innerHTML = '';
+    presets.forEach(preset => {
+        const option = document.createElement('option');
+        option.value = preset.name;
+        option.textContent = preset.label;
+        select.appendChild(option);
+    });
+    select.value = quality;
+}
+
+export function renderBackground({ effect }, supported = true) {
+    const group = document.getElementById('backgroundGroup');
+    if (group) {
+        group.classList.toggle('hidden', !supported);
+    }
+    const select = document.getElementById('backgroundSelect');
+    if (select) {
+        select.value = effect.type;
+    }
+}
+
+export function setAudioOutput(deviceId) {
+    const remoteVideo = document.getElementById('remoteVideo');
+    if (!remoteVideo.setSinkId || remoteVideo.sinkId === deviceId) return;
+
+    remoteVideo.setSinkId(deviceId).catch(error => {
+        console.error('❌ Failed to switch speaker:', error);
+        showStatus('Could not switch to the selected speaker', true);
+    });
+}
+
+function formatWaitTime(since) {
+    const seconds = Math.max(Math.floor((Date.now() - since) / 1000), 0);
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${(seconds % 60).toString().padStart(2, '0')}`;
+}
+
+export function renderCallQueue(calls, onAccept, onReject) {
+    const queue = document.getElementById('callQueue');
+    const list = document.getElementById('callQueueList');
+    list.innerHTML = '';
+    queue.classList.toggle('hidden', calls.length === 0);
+
+    if (queueTimer) {
+        clearInterval(queueTimer);
+        queueTimer = null;
+    }
+    if (calls.length === 0) return;
+
+    calls.forEach(call => {
+        const item = document.createElement('li');
+        item.className = 'call-queue-item';
+        item.innerHTML = `
+            <span class="call-queue-position">#${call.position}</span>
+            <span class="call-queue-name"></span>
+            <span class="call-queue-wait" data-since="${call.waitingSince}">${formatWaitTime(call.waitingSince)}</span>
+            <button class="btn btn-success call-queue-accept">Accept</button>
+            <button class="btn btn-danger call-queue-reject">Reject</button>
+        `;
+        item.querySelector('.call-queue-name').textContent = call.caller?.name || 'User';
+        item.querySelector('.call-queue-accept').addEventListener('click', () => onAccept(call.callId));
+        item.querySelector('.call-queue-reject').addEventListener('click', () => onReject(call.callId));
+        list.appendChild(item);
+    });
+
+    // Keep the wait times ticking
+    queueTimer = setInterval(() => {
+        list.querySelectorAll('.call-queue-wait').forEach(wait => {
+            wait.textContent = formatWaitTime(Number(wait.dataset.since));
+        });
+    }, 1000);
+}
+
+export function renderStaffList(staffArray, onSelect) {
+    const staffGrid = document.getElementById('staffGrid');
+    staffGrid.innerHTML = '';
+    staffArray.forEach(staff => {
+        staffGrid.appendChild(createStaffCard(staff, onSelect));
+    });
+
+    // Keep the highlight if the selected staff member is still listed
+    if (selectedStaffId !== null) {
+        const selectedCard = staffGrid.querySelector(`[data-staff-id="${selectedStaffId}"]`);
+        if (selectedCard) selectedCard.classList.add('selected');
+    }
+}
+
+function createStaffCard(staff, onSelect) {
+    const card = document.createElement('div');
+    card.className = 'staff-card';
+    card.dataset.staffId = staff.id;
     
-    const videoTrack = videoTracks[0];
-    videoTrack.enabled = !videoTrack.enabled;
+    // Determine status class and availability
+    let statusClass = 'offline';
+    let statusText = 'OFFLINE';
+    let isAvailable = false;
     
-    const videoBtn = document.getElementById('videoBtn');
-    if (videoBtn) {
-        const iconText = videoBtn.querySelector('.btn-icon-text');
-        const btnText = videoBtn.querySelector('.btn-text');
-        if (iconText) {
-            iconText.textContent = videoTrack.enabled ? '📹' : '📵';
-        }
-        if (btnText) {
-            btnText.textContent = videoTrack.enabled ? 'Video' : 'No Video';
+    if (staff.status === 'online') {
+        if (staff.busy) {
+            statusClass = 'busy';
+            statusText = 'BUSY';
         } else {
-            videoBtn.textContent = videoTrack.enabled ? 'Video' : 'No Video';
+            statusClass = 'available';
+            statusText = 'AVAILABLE';
+            isAvailable = true;
         }
     }
+    
+    card.classList.add(statusClass);
+    
+    // Create card content
+    card.innerHTML = `
+        <div class="staff-status ${statusClass}"></div>
+        <div class="staff-name">${staff.name}</div>
+        <div class="staff-rating">⭐ ${staff.ratings} Rating</div>
+        <div class="staff-pricing">${formatPricing(staff)}</div>
+        <div class="staff-status-text ${statusClass}">${statusText}</div>
+    `;
+    
+    // Add click handler only for available staff
+    if (isAvailable) {
+        card.addEventListener('click', () => {
+            selectStaff(staff);
+            if (onSelect) onSelect(staff);
+        });
+    }
+    
+    return card;
 }
 
-export function resetUI() {
-    document.getElementById('callDuration').textContent = '00:00';
-    document.getElementById('callCost').textContent = '0';
-    showCallControls('idle');
-    updateCallStatus('');
+function formatPricing(staff) {
+    if (staff.pricingByMode) {
+        return `🎙️ ${staff.pricingByMode.audio ?? staff.pricing} · 📹 ${staff.pricingByMode.video ?? staff.pricing}`;
+    }
+    return `💰 ${staff.pricing}`;
+}
+
+function selectStaff(staff) {
+    // Remove previous selection
+    document.querySelectorAll('.staff-card').forEach(card => {
+        card.classList.remove('selected');
+    });
     
-    // Reset staff selection state
-    const staffSelection = document.getElementById('staffSelection');
+    // Select new staff
+    const selectedCard = document.querySelector(`[data-staff-id="${staff.id}"]`);
+    if (selectedCard) {
+        selectedCard.classList.add('selected');
+    }
+    
+    // Update selected staff info
+    selectedStaffId = staff.id;
     const selectedStaffInfo = document.getElementById('selectedStaffInfo');
+    const selectedStaffName = document.getElementById('selectedStaffName');
+    const selectedStaffRating = document.getElementById('selectedStaffRating');
+    
+    selectedStaffName.textContent = staff.name;
+    // Staff without per-mode pricing charge the same for both
+    document.getElementById('videoModeRate').textContent = staff.pricingByMode?.video ?? staff.pricing;
+    document.getElementById('audioModeRate').textContent = staff.pricingByMode?.audio ?? staff.pricing;
+    selectedStaffRating.textContent = `⭐ ${staff.ratings}`;
+    
+    selectedStaffInfo.classList.remove('hidden');
+    
+    // Add class to staff selection to reduce grid height
+    const staffSelection = document.getElementById('staffSelection');
     if (staffSelection) {
-        staffSelection.classList.remove('has-selected');
-    }
-    if (selectedStaffInfo) {
-        selectedStaffInfo.classList.add('hidden');
+        staffSelection.classList.add('has-selected');
     }
+    
+    // Ensure call buttons are visible (they're now always visible at bottom)
+    // Just scroll the content area if needed
+    setTimeout(() => {
+        const controlsContent = document.querySelector('.controls-content');
+        if (controlsContent) {
+            controlsContent.scrollTop = controlsContent.scrollHeight;
+        }
+    }, 150);
+    
+    console.log('📋 Selected staff:', staff.name, 'ID:', staff.id);
+}
+
+export function getSelectedCallMode() {
+    const checked = document.querySelector('input[name="callMode"]:checked');
+    return checked ? checked.value : 'video';
+}
+
+export function getSelectedStaffId() {
+    return selectedStaffId;
 }
+
@@ -1,16 +1,63 @@
 // Import configurations first
-import { peerConfig, API_BASE_URL } from './config.js';
+import { API_BASE_URL, TIMEOUTS } from './config.js';
 
 // Import utilities and services
-import { showStatus, updateCallStatus, showCallControls, startCallTimer } from './ui.js';
+import { emit, notifyStatus, setCallState, setCallStateLabel } from './events.js';
 import { getUserInfo } from './auth.js';
-import { socket, emitCallStart } from './socket.js';
+import { socket, emitMessage, sendSignal, emitCallStart, resetCall } from './socket.js';
+import { buildPeerConfig } from './turn.js';
+import { claimCall, releaseCall, announceCallHandled } from './tabs.js';
+import { startRingback, stopTones } from './tones.js';
+import { initializeNotifications } from './notifications.js';
+import {
+    listDevices, resolveDeviceId, setPreferredDevice, buildAudioConstraints, buildVideoConstraints,
+    supportsOutputSelection, watchDeviceChanges
+} from './devices.js';
+import { QUALITY_PRESETS, DEFAULT_QUALITY, getSavedQuality, saveQuality, applyEncodingLimits } from './quality.js';
+import { applyCodecPreferences, withOpusParameters, getNegotiatedCodecs } from './codecs.js';
+import {
+    BACKGROUND_EFFECTS, supportsBackgroundEffects, startBackgroundEffect, setBackgroundSource,
+    getBackgroundTrack, getBackgroundStream, stopBackgroundEffect
+} from './background.js';
 
 let peerConnection = null;
 let localStream = null;
+let remoteStream = null;
 let currentCall = null;
 let iceCandidateBuffer = [];
 let iceCandidateCount = 0;
+let availableDevices = [];
+let audioOutputId = '';
+let screenTrack = null;
+let screenSender = null;
+let videoQuality = DEFAULT_QUALITY;
+let negotiatedCodecs = null;
+let backgroundEffect = { type: 'none' }; // kept across calls; the pipeline itself restarts with each camera
+
+const CODEC_STATS_DELAY = 2000;
+const CALL_MODES = ['audio', 'video'];
+
+// Remote ICE candidates that arrived before their call's remote description, keyed by String(callId)
+// (the server may send an id as a number in one event and a string in the next)
+const remoteCandidateQueues = new Map();
+// Calls whose queue was discarded: late candidates for them are dropped instead of queued forever
+const finishedCandidateCalls = new Set();
+const FINISHED_CALL_LIMIT = 100;
+
+// Caller side: give up if the staff member doesn't pick up in time
+let outgoingRingTimeout = null;
+
+// ICE restart recovery: restart after a short grace period, give up after TIMEOUTS.iceRecovery
+let iceRestartTimeout = null;
+let iceRecoveryTimeout = null;
+
+// 'audio' calls negotiate an inactive video transceiver that a consented upgrade switches on
+let callMode = 'video';
+let videoUpgrade = null; // { callId, direction: 'outgoing' | 'incoming', timeout }
+
+// Perfect negotiation state for mid-call renegotiation (the first offer always comes from the caller)
+let makingOffer = false;
+let ignoreOffer = false;
 
 export function getCurrentCall() {
     return currentCall;
@@ -18,12 +65,38 @@ export function getCurrentCall() {
 
 export function setCurrentCall(call) {
     currentCall = call;
+    if (call && call.mode) {
+        callMode = call.mode;
+    }
+}
+
+export function getCallMode() {
+    return callMode;
 }
 
 export function getPeerConnection() {
     return peerConnection;
 }
 
+// On offer glare the polite side (staff) rolls back its own offer, the impolite side (user) ignores theirs
+function isPolite() {
+    return getUserInfo().role === 'STAFF';
+}
+
+function getRemoteUserId() {
+    if (!currentCall) return null;
+    return getUserInfo().role === 'USER' ? currentCall.staffUserId : currentCall.userId;
+}
+
+// Every local offer/answer goes through here: codec order before it is created, Opus FEC/DTX on the fmtp line after
+async function setLocalDescriptionWithCodecs(pc, options) {
+    applyCodecPreferences(pc);
+    const answering = pc.signalingState === 'have-remote-offer' || pc.signalingState === 'have-local-pranswer';
+    const description = answering ? await pc.createAnswer(options) : await pc.createOffer(options);
+    await pc.setLocalDescription(withOpusParameters(description));
+    return pc.localDescription;
+}
+
 export async function ensurePeerConnection() {
     if (!peerConnection) {
         console.log('🔧 No peer connection found, creating new one...');
@@ -32,17 +105,28 @@ export async function ensurePeerConnection() {
     return peerConnection;
 }
 
+// Once per login, for callers and staff alike: incoming call alerts, the device pickers and the
+// quality presets. Nothing here opens the camera or mic; that waits for initializeMedia.
+export async function initializeCallSession() {
+    if (typeof Notification !== 'undefined' && Notification.permission === 'default') {
+        await Notification.requestPermission();
+    }
+    initializeNotifications();
+
+    videoQuality = getSavedQuality(getUserInfo()?.id);
+    const devices = await listDevices();
+    audioOutputId = resolveDeviceId('audiooutput', devices);
+    publishDevices(devices);
+    watchDeviceChanges(handleDeviceChange);
+    publishQuality();
+}
+
 export async function initializeMedia() {
     try {
-        // Request notification permission
-        if ('Notification' in window && Notification.permission === 'default') {
-            await Notification.requestPermission();
-        }
-
         console.log('🔵 AUDIO DEBUG: Starting media initialization...');
         
-        // Check available devices first
-        const devices = await navigator.mediaDevices.enumerateDevices();
+        // Check available devices first and use the saved choices that are still plugged in
+        const devices = await listDevices();
         const audioInputs = devices.filter(device => device.kind === 'audioinput');
         const videoInputs = devices.filter(device => device.kind === 'videoinput');
         console.log('🔵 Available devices:', {
@@ -50,33 +134,34 @@ export async function initializeMedia() {
             videoInputs: videoInputs.length,
             audioDevices: audioInputs.map(d => ({ label: d.label, deviceId: d.deviceId }))
         });
+        const audioConstraints = buildAudioConstraints(resolveDeviceId('audioinput', devices));
+        videoQuality = getSavedQuality(getUserInfo()?.id);
 
-        // First try to get both video and audio
-        try {
-            localStream = await navigator.mediaDevices.getUserMedia({
-                video: true,
-                audio: {
-                    echoCancellation: true,
-                    noiseSuppression: true,
-                    autoGainControl: true,
-                    sampleRate: 48000
-                }
-            });
-            console.log('✅ Got both video and audio streams');
-        } catch (e) {
-            console.warn('Failed to get both video and audio, trying audio only:', e);
-            // If that fails, try audio only
+        if (callMode === 'audio') {
+            // Audio calls never open the camera; it is captured if the call is switched to video
             localStream = await navigator.mediaDevices.getUserMedia({
                 video: false,
-                audio: {
-                    echoCancellation: true,
-                    noiseSuppression: true,
-                    autoGainControl: true,
-                    sampleRate: 48000
-                }
+                audio: audioConstraints
             });
-            showStatus('Video unavailable - audio only mode', true);
-            console.log('✅ Got audio-only stream');
+            console.log('✅ Got audio stream for an audio call');
+        } else {
+            try {
+                // First try to get both video and audio
+                localStream = await navigator.mediaDevices.getUserMedia({
+                    video: buildVideoConstraints(resolveDeviceId('videoinput', devices), QUALITY_PRESETS[videoQuality].capture),
+                    audio: audioConstraints
+                });
+                console.log('✅ Got both video and audio streams');
+            } catch (e) {
+                console.warn('Failed to get both video and audio, trying audio only:', e);
+                // If that fails, try audio only
+                localStream = await navigator.mediaDevices.getUserMedia({
+                    video: false,
+                    audio: audioConstraints
+                });
+                notifyStatus('Video unavailable - audio only mode', true);
+                console.log('✅ Got audio-only stream');
+            }
         }
         
         // 🔵 AUDIO DEBUG: Detailed stream analysis
@@ -111,7 +196,16 @@ export async function initializeMedia() {
             });
         });
         
-        document.getElementById('localVideo').srcObject = localStream;
+        emit('localStream', { stream: localStream });
+        emit('media', getMediaState());
+        if (backgroundEffect.type !== 'none') {
+            // Ready before a call adds the camera, so the raw picture is never sent
+            await applyBackgroundEffect();
+        }
+
+        // Labels are only filled in once permission is granted, so enumerate again
+        audioOutputId = resolveDeviceId('audiooutput', devices);
+        publishDevices(await listDevices());
         
         console.log('✅ Media initialized successfully:', 
             'Audio tracks:', localStream.getAudioTracks().length,
@@ -125,7 +219,7 @@ export async function initializeMedia() {
             message: error.message,
             constraint: error.constraint
         });
-        showStatus('Error accessing camera/microphone. Please check your device permissions.', true);
+        notifyStatus('Error accessing camera/microphone. Please check your device permissions.', true);
         throw error;
     }
 }
@@ -138,8 +232,9 @@ export async function createPeerConnection() {
         peerConnection = null;
     }
     
-    console.log('🔧 Creating new peer connection with config:', peerConfig);
-    peerConnection = new RTCPeerConnection(peerConfig);
+    const config = buildPeerConfig();
+    console.log('🔧 Creating new peer connection with config:', config);
+    peerConnection = new RTCPeerConnection(config);
     
     // Add debugging for connection state changes
     peerConnection.addEventListener('connectionstatechange', () => {
@@ -149,6 +244,11 @@ export async function createPeerConnection() {
         }
     });
 
+    // Media captured for this call is audio only already; this is for the preview a caller took at login
+    if (callMode === 'audio' && localStream && localStream.getVideoTracks().length > 0) {
+        releaseLocalVideo();
+    }
+
     // Add local stream if available
     if (localStream) {
         console.log('🔵 AUDIO DEBUG: Adding local tracks to peer connection...');
@@ -182,7 +282,9 @@ export async function createPeerConnection() {
             }
             
             track.enabled = true; // Force enable
-            const sender = peerConnection.addTrack(track, localStream);
+            // With a background effect on, the processed camera goes out instead of the raw one
+            const outgoingTrack = track.kind === 'video' && getBackgroundTrack() ? getBackgroundTrack() : track;
+            const sender = peerConnection.addTrack(outgoingTrack, localStream);
             console.log('📤 Track sender created:', sender);
         });
         console.log('✅ Added local stream to peer connection');
@@ -209,6 +311,43 @@ export async function createPeerConnection() {
         console.warn('⚠️ No local stream available when creating peer connection');
     }
 
+    makingOffer = false;
+    ignoreOffer = false;
+
+    // A finished renegotiation (screen share, video upgrade...) may have changed the codecs in use
+    peerConnection.addEventListener('signalingstatechange', () => {
+        if (peerConnection?.signalingState === 'stable' && ['connected', 'completed'].includes(peerConnection.iceConnectionState)) {
+            scheduleCodecRefresh();
+            // New video senders (e.g. after a video upgrade) only get encodings once negotiated
+            applyVideoQuality();
+        }
+    });
+
+    // Tracks added, removed or replaced mid-call (screen share, video upgrade...) renegotiate from here
+    peerConnection.onnegotiationneeded = async () => {
+        // The initial offer/answer is driven by startCall/handleOffer
+        if (!currentCall || !peerConnection.remoteDescription) {
+            return;
+        }
+        const pc = peerConnection;
+        try {
+            makingOffer = true;
+            await setLocalDescriptionWithCodecs(pc);
+            if (pc !== peerConnection || pc.localDescription.type !== 'offer') return;
+
+            console.log('🔁 Renegotiating: sending offer');
+            sendSignal('offer', {
+                callId: currentCall.id,
+                targetUserId: getRemoteUserId(),
+                offer: pc.localDescription
+            });
+        } catch (error) {
+            console.error('❌ Renegotiation offer failed:', error);
+        } finally {
+            makingOffer = false;
+        }
+    };
+
     // Handle incoming stream
     peerConnection.ontrack = (event) => {
         console.log('🔵 AUDIO DEBUG: ========== REMOTE TRACK RECEIVED ==========');
@@ -221,8 +360,11 @@ export async function createPeerConnection() {
             id: event.track.id
         });
         
-        const remoteVideo = document.getElementById('remoteVideo');
-        const remoteStream = event.streams[0];
+        // Tracks sent without a stream association (no setStreams support) join the existing stream
+        remoteStream = event.streams[0] || remoteStream || new MediaStream();
+        if (!event.streams[0]) {
+            remoteStream.addTrack(event.track);
+        }
         
         // 🔵 AUDIO DEBUG: Detailed stream analysis
         console.log('🔵 AUDIO DEBUG: Remote stream details:');
@@ -270,56 +412,12 @@ export async function createPeerConnection() {
             });
         });
         
-        // Set the stream to the video element
-        remoteVideo.srcObject = remoteStream;
-        
-        // 🔵 AUDIO DEBUG: Ensure audio plays by explicitly setting properties
-        console.log('🔵 AUDIO DEBUG: Setting up remote video element for audio playback...');
-        remoteVideo.muted = false;
-        remoteVideo.volume = 1.0;
-        remoteVideo.autoplay = true;
-        remoteVideo.playsInline = true;
-        
-        console.log('🔵 AUDIO DEBUG: Remote video element properties:', {
-            muted: remoteVideo.muted,
-            volume: remoteVideo.volume,
-            autoplay: remoteVideo.autoplay,
-            playsInline: remoteVideo.playsInline,
-            hasAudio: audioTracks.length > 0
-        });
+        // Renderers attach the stream and deal with autoplay restrictions
+        emit('remoteStream', { stream: remoteStream });
         
-        // Try to play the remote stream
-        remoteVideo.play().then(() => {
-            console.log('✅ Remote stream playing successfully');
-            console.log('🔵 AUDIO DEBUG: Video element playing state:', {
-                paused: remoteVideo.paused,
-                currentTime: remoteVideo.currentTime,
-                duration: remoteVideo.duration,
-                volume: remoteVideo.volume,
-                muted: remoteVideo.muted
-            });
-            
-            // Test audio level on remote tracks
-            audioTracks.forEach((track, index) => {
-                testAudioLevel(track, `Remote Audio Track ${index}`);
-            });
-            
-        }).catch(error => {
-            console.error('❌ Remote stream autoplay failed:', error);
-            console.error('❌ Error details:', {
-                name: error.name,
-                message: error.message
-            });
-            showStatus('Click the remote video to enable audio', true);
-            
-            // Add click handler to enable audio
-            remoteVideo.addEventListener('click', () => {
-                remoteVideo.play().then(() => {
-                    console.log('✅ Remote stream playing after user interaction');
-                }).catch(e => {
-                    console.error('❌ Still failed to play after click:', e);
-                });
-            }, { once: true });
+        // Test audio level on remote tracks
+        audioTracks.forEach((track, index) => {
+            testAudioLevel(track, `Remote Audio Track ${index}`);
         });
         
         console.log('🔵 AUDIO DEBUG: ========== END REMOTE TRACK SETUP ==========');
@@ -334,7 +432,11 @@ export async function createPeerConnection() {
 
     // Handle ICE candidates
     peerConnection.onicecandidate = (event) => {
-        if (event.candidate && currentCall) {
+        if (event.candidate && !currentCall) {
+            // A caller gathers while /calls/initiate is still in flight; startCall sends these with the offer
+            iceCandidateCount++;
+            bufferIceCandidate(event.candidate, null);
+        } else if (event.candidate) {
             iceCandidateCount++;
             const candidate = event.candidate;
             
@@ -345,8 +447,7 @@ export async function createPeerConnection() {
                 console.log('✅ TURN server is working! (relay candidate found)');
             }
             
-            const { role: userRole, id: userId } = getUserInfo();
-            const targetUserId = userRole === 'USER' ? currentCall.staffUserId : currentCall.userId;
+            const targetUserId = getRemoteUserId();
             
             // Always buffer the candidate first
             bufferIceCandidate(candidate, targetUserId);
@@ -376,19 +477,39 @@ export async function createPeerConnection() {
         };
         console.log('📊 Current states:', states);
 
+        emit('connection', { iceConnectionState: peerConnection.iceConnectionState });
+
         switch (peerConnection.iceConnectionState) {
             case 'connected':
                 console.log('✅ ICE connection established!');
-                updateCallStatus('Connected');
-                showStatus('Call connected successfully', false);
+                setCallState('connected', 'Connected');
+                if (iceRecoveryTimeout) {
+                    stopIceRecovery();
+                    notifyStatus('Connection restored', false);
+                } else {
+                    notifyStatus('Call connected successfully', false);
+                }
                 if (currentCall && currentCall.status !== 'CONNECTED') {
                     emitCallStart(currentCall.id, states);
                 }
+                // Encodings are only guaranteed to exist once negotiated
+                applyVideoQuality();
+                scheduleCodecRefresh();
+                break;
+            case 'completed':
+                if (iceRecoveryTimeout) {
+                    stopIceRecovery();
+                    setCallState('connected', 'Connected');
+                    notifyStatus('Connection restored', false);
+                }
+                break;
+            case 'disconnected':
+                console.warn('⚠️ ICE connection disconnected, waiting before restarting ICE');
+                startIceRecovery(TIMEOUTS.iceDisconnectGrace);
                 break;
             case 'failed':
-                console.error('❌ ICE connection failed');
-                showStatus('Connection failed. Please try again.', true);
-                endCall();
+                console.error('❌ ICE connection failed, restarting ICE');
+                startIceRecovery(0);
                 break;
         }
     };
@@ -396,6 +517,49 @@ export async function createPeerConnection() {
     return peerConnection;
 }
 
+// Network changes (e.g. Wi-Fi to mobile) drop the ICE path; restart ICE instead of ending a paid call
+function startIceRecovery(restartDelay) {
+    if (!currentCall || !peerConnection || !peerConnection.remoteDescription) {
+        // Never connected - nothing to recover
+        notifyStatus('Connection failed. Please try again.', true);
+        endCall();
+        return;
+    }
+
+    if (!iceRecoveryTimeout) {
+        setCallState('reconnecting', 'Reconnecting...');
+        notifyStatus('Connection lost, reconnecting...', true);
+        iceRecoveryTimeout = setTimeout(() => {
+            console.error('❌ ICE recovery timed out');
+            stopIceRecovery();
+            notifyStatus('Connection lost. The call has ended.', true);
+            endCall();
+        }, TIMEOUTS.iceRecovery);
+    }
+
+    if (iceRestartTimeout) clearTimeout(iceRestartTimeout);
+    iceRestartTimeout = setTimeout(() => {
+        iceRestartTimeout = null;
+        const state = peerConnection ? peerConnection.iceConnectionState : null;
+        if (state !== 'disconnected' && state !== 'failed') return;
+
+        // Triggers negotiationneeded; the renegotiation offer carries fresh ICE credentials
+        console.log('🔁 Restarting ICE');
+        peerConnection.restartIce();
+    }, restartDelay);
+}
+
+function stopIceRecovery() {
+    if (iceRestartTimeout) {
+        clearTimeout(iceRestartTimeout);
+        iceRestartTimeout = null;
+    }
+    if (iceRecoveryTimeout) {
+        clearTimeout(iceRecoveryTimeout);
+        iceRecoveryTimeout = null;
+    }
+}
+
 export async function handleOffer(data) {
     try {
         console.log('📥 Received offer:', data);
@@ -436,13 +600,6 @@ export async function handleOffer(data) {
         // Create or recreate peer connection
         await createPeerConnection();
         
-        // Validate offer before processing
-        if (!data.offer || !data.offer.type || data.offer.type !== 'offer') {
-            console.error('❌ Invalid offer received:', data.offer);
-            showStatus('Invalid call offer received', true);
-            return;
-        }
-
         console.log('📝 Setting remote description (offer)');
         console.log('🔍 Peer connection state before setting remote description:', {
             signalingState: peerConnection.signalingState,
@@ -451,11 +608,12 @@ export async function handleOffer(data) {
         
         await peerConnection.setRemoteDescription(new RTCSessionDescription(data.offer));
         console.log('✅ Remote description set successfully');
+        await drainRemoteCandidates(data.callId);
         
         // Verify we're in the correct state to create an answer
         if (peerConnection.signalingState !== 'have-remote-offer') {
             console.error('❌ Unexpected signaling state after setting remote description:', peerConnection.signalingState);
-            showStatus('Connection setup failed - invalid state', true);
+            notifyStatus('Connection setup failed - invalid state', true);
             return;
         }
         
@@ -463,48 +621,12 @@ export async function handleOffer(data) {
         await new Promise(resolve => setTimeout(resolve, 500));
         
         console.log('📝 Creating answer');
-        const answer = await peerConnection.createAnswer({
+        await setLocalDescriptionWithCodecs(peerConnection, {
             offerToReceiveAudio: true,
             offerToReceiveVideo: true
         });
         
-        console.log('📝 Setting local description (answer)');
-        await peerConnection.setLocalDescription(answer);
-        
-        // 🔵 AUDIO DEBUG: Detailed SDP analysis
-        console.log('🔵 AUDIO DEBUG: ========== SDP ANALYSIS (ANSWER) ==========');
-        console.log('🔍 Answer SDP contains audio:', answer.sdp.includes('m=audio'));
-        console.log('🔍 Answer SDP contains video:', answer.sdp.includes('m=video'));
-        
-        // Extract audio codec information
-        const audioLines = answer.sdp.split('\n').filter(line => 
-            line.includes('m=audio') || 
-            line.includes('a=rtpmap') && line.includes('audio') ||
-            line.includes('opus') || 
-            line.includes('PCMU') || 
-            line.includes('PCMA')
-        );
-        console.log('🎵 Audio SDP lines:', audioLines);
-        
-        if (answer.sdp.includes('m=audio')) {
-            console.log('✅ Audio media line found in answer');
-            
-            // Check for common audio codecs
-            if (answer.sdp.includes('opus')) {
-                console.log('🎵 Opus codec found in SDP');
-            }
-            if (answer.sdp.includes('PCMU') || answer.sdp.includes('PCMA')) {
-                console.log('🎵 PCM codec found in SDP');
-            }
-        } else {
-            console.error('❌ No audio media line in answer SDP!');
-        }
-        
-        // Log full SDP for debugging (truncated)
-        console.log('📋 Answer SDP (first 500 chars):', answer.sdp.substring(0, 500));
-        console.log('🔵 AUDIO DEBUG: ========== END SDP ANALYSIS ==========');
-        
-        // Wait for ICE gathering to complete or timeout after 5 seconds
+        // Wait for ICE gathering to complete or time out
         console.log('⏳ Waiting for ICE gathering...');
         const iceGatheringPromise = new Promise(resolve => {
             if (peerConnection.iceGatheringState === 'complete') {
@@ -515,7 +637,7 @@ export async function handleOffer(data) {
             const timeout = setTimeout(() => {
                 console.log('⏰ ICE gathering timeout, proceeding anyway');
                 resolve();
-            }, 5000);
+            }, TIMEOUTS.iceGathering);
             
             const checkState = () => {
                 if (peerConnection.iceGatheringState === 'complete') {
@@ -531,18 +653,18 @@ export async function handleOffer(data) {
         
         await iceGatheringPromise;
         
-        socket.emit('answer', {
+        sendSignal('answer', {
             callId: currentCall.id,
             targetUserId: data.from,
             answer: peerConnection.localDescription
         });
         
-        updateCallStatus('Answer sent, establishing connection...');
-        showStatus('Connecting to call...', false);
+        setCallStateLabel('Answer sent, establishing connection...');
+        notifyStatus('Connecting to call...', false);
         
     } catch (error) {
         console.error('Handle offer error:', error);
-        showStatus('Failed to establish connection: ' + error.message, true);
+        notifyStatus('Failed to establish connection: ' + error.message, true);
         
         // Clean up on error
         if (peerConnection) {
@@ -560,6 +682,41 @@ export async function handleOffer(data) {
     }
 }
 
+// Offer on an already negotiated connection: renegotiate in place instead of rebuilding it
+export async function handleRenegotiationOffer(data) {
+    if (!currentCall || !peerConnection || String(data.from) !== String(getRemoteUserId())) {
+        console.warn('⚠️ Ignoring renegotiation offer for unknown call/peer');
+        return;
+    }
+
+    const pc = peerConnection;
+    const offerCollision = makingOffer || pc.signalingState !== 'stable';
+    ignoreOffer = !isPolite() && offerCollision;
+    if (ignoreOffer) {
+        console.log('🔁 Offer glare: ignoring remote offer (impolite side)');
+        return;
+    }
+
+    try {
+        console.log(`🔁 Renegotiation offer received${offerCollision ? ' (glare, rolling back our offer)' : ''}`);
+        // setRemoteDescription rolls back our pending offer implicitly
+        await pc.setRemoteDescription(data.offer);
+        await drainRemoteCandidates(data.callId);
+        await setLocalDescriptionWithCodecs(pc);
+        if (pc !== peerConnection) return;
+
+        sendSignal('answer', {
+            callId: currentCall.id,
+            targetUserId: data.from,
+            answer: pc.localDescription
+        });
+        console.log('✅ Renegotiation answer sent');
+    } catch (error) {
+        console.error('❌ Renegotiation failed:', error);
+        notifyStatus('Failed to update call media: ' + error.message, true);
+    }
+}
+
 export async function handleAnswer(data) {
     try {
         console.log('📥 Received answer from:', data.fromName);
@@ -568,7 +725,7 @@ export async function handleAnswer(data) {
         const pc = await ensurePeerConnection();
         if (!pc) {
             console.error('❌ Failed to ensure peer connection exists');
-            showStatus('Connection error - please try calling again', true);
+            notifyStatus('Connection error - please try calling again', true);
             return;
         }
 
@@ -580,82 +737,124 @@ export async function handleAnswer(data) {
         console.log('📝 Setting remote description (answer)');
         await peerConnection.setRemoteDescription(new RTCSessionDescription(data.answer));
         console.log('✅ Answer processed successfully');
+        await drainRemoteCandidates(data.callId);
         
     } catch (error) {
         console.error('❌ Handle answer error:', error);
-        showStatus('Failed to process answer: ' + error.message, true);
+        notifyStatus('Failed to process answer: ' + error.message, true);
     }
 }
 
 export async function handleIceCandidate(data) {
-    try {
-        console.log('Received ICE candidate:', data);
-        if (!peerConnection) {
-            console.error('No peer connection when receiving ICE candidate');
+    const callId = String(data.callId);
+    const ready = peerConnection && peerConnection.remoteDescription &&
+        currentCall && String(currentCall.id) === callId;
+    if (!ready) {
+        if (finishedCandidateCalls.has(callId)) {
+            console.log(`🗑️ Dropping ICE candidate for finished call ${data.callId}`);
             return;
         }
+        const queue = remoteCandidateQueues.get(callId) || [];
+        queue.push(data);
+        remoteCandidateQueues.set(callId, queue);
+        console.log(`📦 Queued ICE candidate for call ${data.callId} (${queue.length} waiting for remote description)`);
+        return;
+    }
 
-        if (peerConnection.remoteDescription === null) {
-            console.warn('Received ICE candidate before remote description, buffering...');
-            setTimeout(async () => {
-                if (peerConnection.remoteDescription) {
-                    console.log('Adding buffered ICE candidate');
-                    await peerConnection.addIceCandidate(new RTCIceCandidate(data.candidate));
-                }
-            }, 1000);
-            return;
-        }
+    await addRemoteCandidate(data);
+}
 
-        console.log('Adding ICE candidate');
+async function addRemoteCandidate(data) {
+    try {
         await peerConnection.addIceCandidate(new RTCIceCandidate(data.candidate));
         console.log('ICE candidate added successfully');
     } catch (error) {
+        // Candidates for an offer we ignored during glare are expected to fail
+        if (ignoreOffer) return;
         console.error('Handle ICE candidate error:', error);
         console.log('Failed candidate:', data.candidate);
     }
 }
 
-// Helper function to send ICE candidate with retry
-async function sendIceCandidate(candidate, targetUserId, priority) {
-    const maxRetries = 3;
-    let retryCount = 0;
-    
-    const attemptSend = async () => {
-        try {
-            if (!socket.connected) {
-                console.log('⚠️ Socket disconnected, attempting to reconnect...');
-                socket.connect();
-                await new Promise(resolve => setTimeout(resolve, 1000));
-            }
-            
-            // Check if we still have a current call
-            if (!currentCall || !currentCall.id) {
-                console.log('No current call, skipping ICE candidate send');
-                return false;
-            }
+// Called right after setRemoteDescription: everything queued for this call can be applied now
+async function drainRemoteCandidates(callId) {
+    const queue = remoteCandidateQueues.get(String(callId));
+    remoteCandidateQueues.delete(String(callId));
+    if (!queue || queue.length === 0) return;
 
-            // Send ICE candidate without waiting for acknowledgment to avoid timeouts
-            socket.emit('ice-candidate', {
-                callId: currentCall.id,
-                targetUserId: targetUserId,
-                candidate: candidate,
-                priority: priority
-            });
-            
-            console.log(`✅ Successfully sent ${priority} priority ICE candidate`);
-            return true;
-        } catch (error) {
-            console.log(`❌ Failed to send ICE candidate (attempt ${retryCount + 1}):`, error);
-            if (retryCount < maxRetries) {
-                retryCount++;
-                await new Promise(resolve => setTimeout(resolve, 1000 * retryCount));
-                return attemptSend();
-            }
-            return false;
-        }
-    };
-    
-    return attemptSend();
+    console.log(`📡 Adding ${queue.length} queued ICE candidates for call ${callId}`);
+    for (const candidate of queue) {
+        await addRemoteCandidate(candidate);
+    }
+}
+
+// Remote candidates still waiting for this call's remote description
+export function getQueuedCandidateCount(callId) {
+    return (remoteCandidateQueues.get(String(callId)) || []).length;
+}
+
+// Drop queued candidates for a finished call, or for every call when no id is given
+export function discardRemoteCandidates(callId) {
+    if (callId === undefined) {
+        remoteCandidateQueues.clear();
+        finishedCandidateCalls.clear();
+        return;
+    }
+    remoteCandidateQueues.delete(String(callId));
+    finishedCandidateCalls.add(String(callId));
+    if (finishedCandidateCalls.size > FINISHED_CALL_LIMIT) {
+        finishedCandidateCalls.delete(finishedCandidateCalls.values().next().value);
+    }
+}
+
+// After a socket reconnect: anything the peer may have missed while we were offline is sent again.
+// Duplicates are harmless - a repeated candidate is ignored, a repeated description is only
+// resent while the peer still owes us a reply.
+export function resendPendingSignaling() {
+    if (!currentCall || !peerConnection) return;
+
+    const iceConnected = ['connected', 'completed'].includes(peerConnection.iceConnectionState);
+    const targetUserId = getRemoteUserId();
+    const description = peerConnection.localDescription;
+
+    if (description && peerConnection.signalingState === 'have-local-offer') {
+        console.log('🔁 Resending unanswered offer');
+        sendSignal('offer', { callId: currentCall.id, targetUserId, offer: description });
+    } else if (description && description.type === 'answer' && !iceConnected) {
+        console.log('🔁 Resending answer');
+        sendSignal('answer', { callId: currentCall.id, targetUserId, answer: description });
+    }
+
+    if (!iceConnected && iceCandidateBuffer.length > 0) {
+        console.log(`🔁 Resending ${iceCandidateBuffer.length} ICE candidates`);
+        iceCandidateBuffer.forEach(({ candidate, targetUserId, priority }) => {
+            sendIceCandidate(candidate, targetUserId, priority);
+        });
+    }
+}
+
+// Acknowledged and retried by sendSignal; candidates for a finished call are dropped
+function sendIceCandidate(candidate, targetUserId, priority) {
+    if (!currentCall || !currentCall.id) {
+        console.log('No current call, skipping ICE candidate send');
+        return Promise.resolve(false);
+    }
+
+    return sendSignal('ice-candidate', {
+        callId: currentCall.id,
+        targetUserId: targetUserId,
+        candidate: candidate,
+        priority: priority
+    });
+}
+
+// Candidates buffered before the call existed have no target yet; they go to the staff member now
+function sendEarlyIceCandidates() {
+    const targetUserId = getRemoteUserId();
+    iceCandidateBuffer.filter(buffered => !buffered.targetUserId).forEach(buffered => {
+        buffered.targetUserId = targetUserId;
+        sendIceCandidate(buffered.candidate, targetUserId, buffered.priority);
+    });
 }
 
 // Helper function to buffer ICE candidate
@@ -673,6 +872,553 @@ export function getLocalStream() {
     return localStream;
 }
 
+export function getRemoteStream() {
+    return remoteStream;
+}
+
+export function getMediaState() {
+    const audioTrack = localStream ? localStream.getAudioTracks()[0] : null;
+    const videoTrack = localStream ? localStream.getVideoTracks()[0] : null;
+    return {
+        audioEnabled: !!audioTrack && audioTrack.enabled,
+        videoEnabled: !!videoTrack && videoTrack.enabled,
+        hasAudio: !!audioTrack,
+        hasVideo: !!videoTrack
+    };
+}
+
+export function setMuted(muted) {
+    const audioTracks = localStream ? localStream.getAudioTracks() : [];
+    if (audioTracks.length === 0) {
+        console.warn('⚠️ No audio tracks available');
+        return getMediaState();
+    }
+    audioTracks.forEach(track => {
+        track.enabled = !muted;
+    });
+    const mediaState = getMediaState();
+    emit('media', mediaState);
+    return mediaState;
+}
+
+export function setVideoEnabled(enabled) {
+    const videoTracks = localStream ? localStream.getVideoTracks() : [];
+    if (videoTracks.length === 0) {
+        console.warn('⚠️ No video tracks available');
+        return getMediaState();
+    }
+    videoTracks.forEach(track => {
+        track.enabled = enabled;
+    });
+    const backgroundTrack = getBackgroundTrack();
+    if (backgroundTrack) {
+        backgroundTrack.enabled = enabled;
+    }
+    const mediaState = getMediaState();
+    emit('media', mediaState);
+    return mediaState;
+}
+
+export function getSelectedDevices() {
+    const audioTrack = localStream ? localStream.getAudioTracks()[0] : null;
+    const videoTrack = localStream ? localStream.getVideoTracks()[0] : null;
+    return {
+        audioinput: audioTrack ? audioTrack.getSettings().deviceId || '' : '',
+        videoinput: videoTrack ? videoTrack.getSettings().deviceId || '' : '',
+        audiooutput: audioOutputId
+    };
+}
+
+function publishDevices(devices) {
+    availableDevices = devices;
+    emit('devices', {
+        devices: availableDevices,
+        selected: getSelectedDevices(),
+        canSelectOutput: supportsOutputSelection()
+    });
+}
+
+// Remember the choice and switch to it straight away, mid-call included
+export async function selectDevice(kind, deviceId) {
+    setPreferredDevice(kind, deviceId);
+    if (kind === 'audiooutput') {
+        // The renderer applies it with setSinkId on the remote media element
+        audioOutputId = deviceId || '';
+        publishDevices(availableDevices);
+        return true;
+    }
+    const switched = await switchInputDevice(kind, deviceId);
+    publishDevices(availableDevices);
+    return switched;
+}
+
+// Swap the local track in place with RTCRtpSender.replaceTrack: no renegotiation, the call stays up
+async function switchInputDevice(kind, deviceId) {
+    if (!localStream) {
+        // Nothing captured yet; initializeMedia will pick up the saved choice
+        return true;
+    }
+    const isAudio = kind === 'audioinput';
+    if (!isAudio && callMode === 'audio') {
+        // Audio-only call: the camera stays off until the other side agrees to video; activateVideo uses the saved choice
+        return true;
+    }
+    const oldTrack = isAudio ? localStream.getAudioTracks()[0] : localStream.getVideoTracks()[0];
+
+    try {
+        const stream = await navigator.mediaDevices.getUserMedia(isAudio
+            ? { audio: buildAudioConstraints(deviceId) }
+            : { video: buildVideoConstraints(deviceId, QUALITY_PRESETS[videoQuality].capture) });
+        const newTrack = stream.getTracks()[0];
+        if (oldTrack) {
+            // Keep mute / camera-off as the user left it
+            newTrack.enabled = oldTrack.enabled;
+        }
+
+        // While the screen is shared the video sender stays on it; the new camera goes out when sharing stops.
+        // A background effect keeps its processed track on the sender and just takes the new camera as input.
+        if (!isAudio && getBackgroundTrack()) {
+            setBackgroundSource(newTrack);
+        }
+        const keepSender = !isAudio && (screenTrack || getBackgroundTrack());
+        const sender = peerConnection && !keepSender
+            ? peerConnection.getSenders().find(s => s.track && s.track.kind === newTrack.kind)
+            : null;
+        if (sender) {
+            await sender.replaceTrack(newTrack);
+        } else if (peerConnection && !keepSender) {
+            // No sender of this kind yet (no camera when the call started): this one does renegotiate
+            peerConnection.addTrack(newTrack, localStream);
+        }
+
+        if (oldTrack) {
+            localStream.removeTrack(oldTrack);
+            oldTrack.stop();
+        }
+        localStream.addTrack(newTrack);
+        console.log(`🎧 Switched ${kind} to "${newTrack.label}"`);
+
+        emit('localStream', { stream: localStream });
+        emit('media', getMediaState());
+        return true;
+    } catch (error) {
+        console.error(`❌ Failed to switch ${kind}:`, error);
+        notifyStatus(`Could not switch to the selected ${isAudio ? 'microphone' : 'camera'}`, true);
+        return false;
+    }
+}
+
+// A headset was plugged in or unplugged: move off devices that vanished and back onto saved ones
+async function handleDeviceChange() {
+    try {
+        const devices = await listDevices();
+        if (localStream) {
+            for (const kind of ['audioinput', 'videoinput']) {
+                const track = kind === 'audioinput' ? localStream.getAudioTracks()[0] : localStream.getVideoTracks()[0];
+                if (!track) continue;
+
+                const currentId = track.getSettings().deviceId;
+                const wantedId = resolveDeviceId(kind, devices);
+                const currentGone = track.readyState === 'ended'
+                    || !devices.some(device => device.kind === kind && device.deviceId === currentId);
+                if (currentGone || (wantedId && wantedId !== currentId)) {
+                    await switchInputDevice(kind, wantedId);
+                }
+            }
+        }
+        audioOutputId = resolveDeviceId('audiooutput', devices);
+        publishDevices(devices);
+    } catch (error) {
+        console.error('❌ Failed to handle device change:', error);
+    }
+}
+
+export function isScreenSharing() {
+    return !!screenTrack;
+}
+
+export function supportsScreenShare() {
+    return typeof navigator !== 'undefined' && !!navigator.mediaDevices?.getDisplayMedia;
+}
+
+// Send the screen instead of the camera, on the same video sender
+export async function startScreenShare() {
+    if (screenTrack) return true;
+    if (!peerConnection || !currentCall) {
+        notifyStatus('Screen sharing is only available during a call', true);
+        return false;
+    }
+    if (!supportsScreenShare()) {
+        notifyStatus('Screen sharing is not supported in this browser', true);
+        return false;
+    }
+    if (callMode === 'audio') {
+        // Sending video needs the other side's consent first (requestVideoUpgrade)
+        notifyStatus('Switch the call to video before sharing your screen', true);
+        return false;
+    }
+
+    try {
+        const screenStream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: false });
+        const track = screenStream.getVideoTracks()[0];
+        // Hint the encoder to keep text sharp rather than motion smooth
+        if ('contentHint' in track) {
+            track.contentHint = 'detail';
+        }
+
+        const videoSender = peerConnection.getSenders().find(s => s.track && s.track.kind === 'video');
+        if (videoSender) {
+            await videoSender.replaceTrack(track);
+            screenSender = videoSender;
+        } else {
+            // Video call without a camera: there is no video sender to reuse, so this renegotiates
+            screenSender = peerConnection.addTrack(track, screenStream);
+        }
+        screenTrack = track;
+        // The browser's own "Stop sharing" button ends the track
+        track.addEventListener('ended', () => stopScreenShare());
+        applyVideoQuality();
+
+        console.log(`🖥️ Sharing screen: "${track.label}"`);
+        emit('screenShare', { sharing: true, stream: screenStream });
+        sendMediaSource('screen');
+        return true;
+    } catch (error) {
+        if (error.name === 'NotAllowedError') {
+            // The user closed the picker
+            console.log('🖥️ Screen share cancelled');
+        } else {
+            console.error('❌ Failed to share screen:', error);
+            notifyStatus('Could not share your screen', true);
+        }
+        return false;
+    }
+}
+
+// Back to the camera (or to no video if the call had none)
+export async function stopScreenShare() {
+    if (!screenTrack) return;
+    const track = screenTrack;
+    const sender = screenSender;
+    screenTrack = null;
+    screenSender = null;
+    track.stop();
+
+    if (sender && peerConnection && peerConnection.signalingState !== 'closed') {
+        const cameraTrack = getBackgroundTrack() || (localStream ? localStream.getVideoTracks()[0] || null : null);
+        try {
+            await sender.replaceTrack(cameraTrack);
+            await applyVideoQuality();
+        } catch (error) {
+            console.error('❌ Failed to switch back to the camera:', error);
+        }
+        sendMediaSource('camera');
+    }
+
+    console.log('🖥️ Screen share stopped');
+    emit('screenShare', { sharing: false, stream: null });
+}
+
+function sendMediaSource(source) {
+    const targetUserId = getRemoteUserId();
+    if (!currentCall || !targetUserId) return;
+    sendSignal('media-source', { callId: currentCall.id, targetUserId, source });
+}
+
+// The other side switched between camera and screen
+export function handleRemoteMediaSource(data) {
+    if (!currentCall || String(currentCall.id) !== String(data.callId)) return;
+    console.log(`🖥️ ${data.fromName || 'Remote'} is now sending their ${data.source}`);
+    emit('remoteMediaSource', { callId: data.callId, source: data.source });
+}
+
+export function getVideoQuality() {
+    return videoQuality;
+}
+
+// Switch preset (also mid-call): re-constrain the camera and re-limit the encoder, no renegotiation
+export async function setVideoQuality(name) {
+    const preset = QUALITY_PRESETS[name];
+    if (!preset) {
+        throw new Error(`Unknown video quality: ${name}`);
+    }
+    videoQuality = name;
+    saveQuality(getUserInfo()?.id, name);
+    console.log(`🎚️ Video quality set to ${preset.label}`);
+
+    const cameraTrack = localStream ? localStream.getVideoTracks()[0] : null;
+    if (cameraTrack) {
+        try {
+            await cameraTrack.applyConstraints({ ...cameraTrack.getConstraints(), ...preset.capture });
+        } catch (error) {
+            console.warn('⚠️ Camera rejected the quality constraints:', error);
+        }
+    }
+    await applyVideoQuality();
+
+    publishQuality();
+    return true;
+}
+
+export function getNegotiatedCodecsState() {
+    return negotiatedCodecs;
+}
+
+// Codec stats only show up once media has flowed for a moment
+function scheduleCodecRefresh() {
+    setTimeout(async () => {
+        if (!peerConnection || !currentCall) return;
+        try {
+            negotiatedCodecs = await getNegotiatedCodecs(peerConnection);
+            console.log('🎞️ Negotiated codecs:', negotiatedCodecs);
+            emit('codecs', { callId: currentCall.id, codecs: negotiatedCodecs });
+        } catch (error) {
+            console.warn('⚠️ Could not read negotiated codecs:', error);
+        }
+    }, CODEC_STATS_DELAY);
+}
+
+function publishQuality() {
+    emit('quality', {
+        quality: videoQuality,
+        presets: Object.values(QUALITY_PRESETS).map(({ name, label }) => ({ name, label }))
+    });
+}
+
+async function applyVideoQuality() {
+    if (!peerConnection) return;
+    const sender = peerConnection.getSenders().find(s => s.track && s.track.kind === 'video');
+    if (!sender) return;
+
+    try {
+        const applied = await applyEncodingLimits(sender, QUALITY_PRESETS[videoQuality], { isScreen: sender.track === screenTrack });
+        if (applied) {
+            console.log(`🎚️ Applied ${videoQuality} encoding limits to the video sender`);
+        }
+    } catch (error) {
+        console.warn('⚠️ Could not apply video encoding limits:', error);
+    }
+}
+
+// Stop the camera for an audio call; the track is captured again if video gets switched on
+function releaseLocalVideo() {
+    const videoTracks = localStream ? localStream.getVideoTracks() : [];
+    if (videoTracks.length === 0) return;
+
+    stopBackgroundEffect();
+    videoTracks.forEach(track => {
+        track.stop();
+        localStream.removeTrack(track);
+    });
+    console.log('🎙️ Audio call: camera released');
+    emit('localStream', { stream: localStream });
+    emit('media', getMediaState());
+}
+
+// Ask the other side to turn this audio call into a video call; nothing changes until they agree
+export function requestVideoUpgrade() {
+    if (!currentCall || !peerConnection || callMode !== 'audio') {
+        notifyStatus('Video can only be requested during an audio call', true);
+        return false;
+    }
+    if (videoUpgrade) {
+        notifyStatus('A video request is already pending', true);
+        return false;
+    }
+
+    const callId = currentCall.id;
+    sendSignal('video-upgrade-request', { callId, targetUserId: getRemoteUserId() });
+    videoUpgrade = {
+        callId,
+        direction: 'outgoing',
+        timeout: setTimeout(() => {
+            if (!videoUpgrade || videoUpgrade.callId !== callId) return;
+            videoUpgrade = null;
+            notifyStatus('No answer to the video request', true);
+            emit('videoUpgrade', { callId, direction: 'outgoing', status: 'expired' });
+        }, TIMEOUTS.videoUpgradeRequest)
+    };
+    notifyStatus('Asking to switch to video...', false);
+    emit('videoUpgrade', { callId, direction: 'outgoing', status: 'requested' });
+    return true;
+}
+
+export function handleVideoUpgradeRequest(data) {
+    if (!currentCall || String(currentCall.id) !== String(data.callId) || callMode !== 'audio') {
+        return;
+    }
+    clearVideoUpgrade();
+    // Unanswered requests lapse with the requester's timeout; the prompt goes with it
+    videoUpgrade = {
+        callId: data.callId,
+        direction: 'incoming',
+        timeout: setTimeout(() => {
+            videoUpgrade = null;
+            emit('videoUpgrade', { callId: data.callId, direction: 'incoming', status: 'expired' });
+        }, TIMEOUTS.videoUpgradeRequest)
+    };
+    console.log(`📹 ${data.fromName || 'Remote'} asked to switch to video`);
+    emit('videoUpgrade', { callId: data.callId, direction: 'incoming', status: 'requested', fromName: data.fromName });
+}
+
+export async function respondToVideoUpgrade(accepted) {
+    if (!videoUpgrade || videoUpgrade.direction !== 'incoming' || !currentCall) {
+        notifyStatus('No video request to answer', true);
+        return false;
+    }
+    const { callId } = videoUpgrade;
+    clearVideoUpgrade();
+
+    sendSignal('video-upgrade-response', { callId, targetUserId: getRemoteUserId(), accepted });
+    emit('videoUpgrade', { callId, direction: 'incoming', status: accepted ? 'accepted' : 'declined' });
+    if (accepted) {
+        return activateVideo();
+    }
+    return true;
+}
+
+export async function handleVideoUpgradeResponse(data) {
+    if (!videoUpgrade || videoUpgrade.direction !== 'outgoing' || String(videoUpgrade.callId) !== String(data.callId)) {
+        return;
+    }
+    clearVideoUpgrade();
+
+    emit('videoUpgrade', { callId: data.callId, direction: 'outgoing', status: data.accepted ? 'accepted' : 'declined' });
+    if (!data.accepted) {
+        notifyStatus(`${data.fromName || 'The other side'} declined video`, true);
+        return;
+    }
+    await activateVideo();
+}
+
+function clearVideoUpgrade() {
+    if (videoUpgrade) {
+        clearTimeout(videoUpgrade.timeout);
+        videoUpgrade = null;
+    }
+}
+
+// Both sides run this once the upgrade is agreed: camera on, video transceiver to sendrecv.
+// The direction change renegotiates through onnegotiationneeded; simultaneous offers are handled as glare.
+async function activateVideo() {
+    if (!peerConnection || !currentCall) return false;
+
+    try {
+        let cameraTrack = localStream ? localStream.getVideoTracks()[0] : null;
+        if (!cameraTrack) {
+            const devices = await listDevices();
+            const stream = await navigator.mediaDevices.getUserMedia({
+                video: buildVideoConstraints(resolveDeviceId('videoinput', devices), QUALITY_PRESETS[videoQuality].capture)
+            });
+            cameraTrack = stream.getVideoTracks()[0];
+            localStream.addTrack(cameraTrack);
+        }
+        if (backgroundEffect.type !== 'none') {
+            await applyBackgroundEffect();
+        }
+        const outgoingTrack = getBackgroundTrack() || cameraTrack;
+
+        const transceiver = peerConnection.getTransceivers()
+            .find(t => t.receiver.track.kind === 'video' && t.currentDirection !== 'stopped');
+        if (transceiver) {
+            // A screen share already holds the sender; the camera takes over when it stops
+            if (!screenTrack) {
+                await transceiver.sender.replaceTrack(outgoingTrack);
+            }
+            if (transceiver.sender.setStreams) {
+                // Lets the remote ontrack put the video in the same stream as the audio
+                transceiver.sender.setStreams(localStream);
+            }
+            transceiver.direction = 'sendrecv';
+        } else {
+            peerConnection.addTrack(outgoingTrack, localStream);
+        }
+
+        callMode = 'video';
+        currentCall.mode = 'video';
+        console.log('📹 Call upgraded to video');
+        notifyStatus('Video is on', false);
+        emit('localStream', { stream: localStream });
+        emit('media', getMediaState());
+        emit('callMode', { callId: currentCall.id, mode: callMode });
+        return true;
+    } catch (error) {
+        console.error('❌ Failed to switch to video:', error);
+        notifyStatus('Could not turn on video: ' + error.message, true);
+        return false;
+    }
+}
+
+export function getBackgroundEffect() {
+    return backgroundEffect;
+}
+
+// { type: 'none' | 'blur' } or { type: 'image', imageUrl }; switchable mid-call without renegotiation
+export async function setBackgroundEffect(effect) {
+    if (!effect || !BACKGROUND_EFFECTS.includes(effect.type)) {
+        throw new Error(`Unknown background effect: ${effect?.type}`);
+    }
+    if (effect.type === 'image' && !effect.imageUrl) {
+        throw new Error('An image background needs an imageUrl');
+    }
+    if (effect.type !== 'none' && !supportsBackgroundEffects()) {
+        notifyStatus('Background effects are not supported in this browser', true);
+        return false;
+    }
+
+    backgroundEffect = effect;
+    return applyBackgroundEffect();
+}
+
+// (Re)build the pipeline on the current camera and put the right track on the video sender.
+// localStream keeps the raw camera, so device, quality and mute changes keep working on it.
+async function applyBackgroundEffect() {
+    const cameraTrack = localStream ? localStream.getVideoTracks()[0] : null;
+    let outgoingTrack = cameraTrack;
+
+    if (backgroundEffect.type === 'none' || !cameraTrack) {
+        stopBackgroundEffect();
+    } else {
+        try {
+            const processedTrack = await startBackgroundEffect(cameraTrack, backgroundEffect, handleSlowBackgroundEffect);
+            if (!processedTrack) {
+                // Superseded by a newer change
+                return false;
+            }
+            processedTrack.enabled = cameraTrack.enabled;
+            outgoingTrack = processedTrack;
+        } catch (error) {
+            console.error('❌ Failed to start background effect:', error);
+            notifyStatus('Could not start the background effect', true);
+            backgroundEffect = { type: 'none' };
+            stopBackgroundEffect();
+        }
+    }
+
+    await sendCameraTrack(outgoingTrack);
+    emit('background', { effect: backgroundEffect, stream: getBackgroundStream() });
+    return backgroundEffect.type !== 'none';
+}
+
+function handleSlowBackgroundEffect() {
+    notifyStatus('Background effect turned off: this device cannot keep up', true);
+    backgroundEffect = { type: 'none' };
+    applyBackgroundEffect();
+}
+
+// A screen share keeps the video sender until it stops
+async function sendCameraTrack(track) {
+    if (!peerConnection || screenTrack || !track) return;
+    const sender = peerConnection.getSenders().find(s => s.track && s.track.kind === 'video');
+    if (sender && sender.track !== track) {
+        try {
+            await sender.replaceTrack(track);
+        } catch (error) {
+            console.error('❌ Failed to swap the outgoing camera track:', error);
+        }
+    }
+}
+
 // Test audio functionality
 export function testAudio() {
     console.log('🔍 Testing audio functionality...');
@@ -729,9 +1475,7 @@ export function testAudio() {
     }
     
     // Test remote audio
-    const remoteVideo = document.getElementById('remoteVideo');
-    if (remoteVideo.srcObject) {
-        const remoteStream = remoteVideo.srcObject;
+    if (remoteStream) {
         const audioTracks = remoteStream.getAudioTracks();
         console.log('🔊 Remote audio tracks:', audioTracks.length);
         audioTracks.forEach((track, index) => {
@@ -742,28 +1486,22 @@ export function testAudio() {
                 label: track.label
             });
         });
-        
-        console.log('📺 Remote video element:', {
-            muted: remoteVideo.muted,
-            volume: remoteVideo.volume,
-            paused: remoteVideo.paused,
-            hasAudio: remoteStream.getAudioTracks().length > 0
-        });
     } else {
         console.warn('⚠️ No remote stream available');
     }
 }
 
-export async function startCall() {
+export async function startCall(selectedStaffId, { mode = 'video' } = {}) {
     try {
-        // Import the getSelectedStaffId function
-        const { getSelectedStaffId } = await import('./socket.js');
-        const selectedStaffId = getSelectedStaffId();
-        
         if (!selectedStaffId) {
-            showStatus('Please select a staff member', true);
+            notifyStatus('Please select a staff member', true);
             return;
         }
+        if (!CALL_MODES.includes(mode)) {
+            notifyStatus(`Unknown call mode: ${mode}`, true);
+            return;
+        }
+        callMode = mode;
 
         const { id: userId } = getUserInfo();
         
@@ -788,47 +1526,17 @@ export async function startCall() {
             }
         }
         
+        if (mode === 'audio') {
+            // Reserve the video m-line now so an upgrade is a direction change, not a new transceiver
+            peerConnection.addTransceiver('video', { direction: 'inactive' });
+        }
+
         // Create and set local description
-        const offer = await peerConnection.createOffer({
+        const offer = await setLocalDescriptionWithCodecs(peerConnection, {
             offerToReceiveAudio: true,
-            offerToReceiveVideo: true
+            offerToReceiveVideo: mode === 'video'
         });
         
-        await peerConnection.setLocalDescription(offer);
-        
-        // 🔵 AUDIO DEBUG: Detailed SDP analysis for offer
-        console.log('🔵 AUDIO DEBUG: ========== SDP ANALYSIS (OFFER) ==========');
-        console.log('🔍 Offer SDP contains audio:', offer.sdp.includes('m=audio'));
-        console.log('🔍 Offer SDP contains video:', offer.sdp.includes('m=video'));
-        
-        // Extract audio codec information
-        const audioLines = offer.sdp.split('\n').filter(line => 
-            line.includes('m=audio') || 
-            line.includes('a=rtpmap') && line.includes('audio') ||
-            line.includes('opus') || 
-            line.includes('PCMU') || 
-            line.includes('PCMA')
-        );
-        console.log('🎵 Audio SDP lines:', audioLines);
-        
-        if (offer.sdp.includes('m=audio')) {
-            console.log('✅ Audio media line found in offer');
-            
-            // Check for common audio codecs
-            if (offer.sdp.includes('opus')) {
-                console.log('🎵 Opus codec found in SDP');
-            }
-            if (offer.sdp.includes('PCMU') || offer.sdp.includes('PCMA')) {
-                console.log('🎵 PCM codec found in SDP');
-            }
-        } else {
-            console.error('❌ No audio media line in offer SDP!');
-        }
-        
-        // Log full SDP for debugging (truncated)
-        console.log('📋 Offer SDP (first 500 chars):', offer.sdp.substring(0, 500));
-        console.log('🔵 AUDIO DEBUG: ========== END SDP ANALYSIS ==========');
-        
         // First initiate call through REST API
         const response = await fetch(`${API_BASE_URL}/calls/initiate`, {
             method: 'POST',
@@ -837,81 +1545,146 @@ export async function startCall() {
                 'Authorization': `Bearer ${getUserInfo().token}`
             },
             body: JSON.stringify({
-                staffId: selectedStaffId
+                staffId: selectedStaffId,
+                mode
             })
         });
 
         const data = await response.json();
         if (!data.success) {
             if (data.staffBusy) {
-                showStatus('Staff is currently busy with another call. Please try again later.', true);
+                notifyStatus('Staff is currently busy with another call. Please try again later.', true);
                 return;
             }
             throw new Error(data.message || 'Failed to initiate call');
         }
 
         // Store the call details
-        setCurrentCall(data.data.call);
+        setCurrentCall({ mode, ...data.data.call });
+        emit('callMode', { callId: currentCall.id, mode: callMode });
 
         // Join the call room first
-        socket.emit('join-call', { callId: data.data.call.id });
+        emitMessage('join-call', { callId: data.data.call.id });
 
         // Now emit the WebRTC offer through socket
-        socket.emit('offer', {
+        sendSignal('offer', {
             callId: data.data.call.id,
             targetUserId: data.data.call.staffUserId,
             offer: offer
         });
+        sendEarlyIceCandidates();
         
-        showStatus('Calling staff member...', false);
-        updateCallStatus('Calling...');
-        showCallControls('calling');
+        notifyStatus('Calling staff member...', false);
+        setCallState('calling', 'Calling...');
+        startRingback();
+        startOutgoingRingTimeout();
         
     } catch (error) {
         console.error('Start call error:', error);
-        showStatus('Failed to start call: ' + error.message, true);
+        notifyStatus('Failed to start call: ' + error.message, true);
         cleanup();
     }
 }
 
+function startOutgoingRingTimeout() {
+    clearOutgoingRingTimeout();
+    outgoingRingTimeout = setTimeout(() => {
+        outgoingRingTimeout = null;
+        if (isOutgoingCallRinging()) {
+            console.log(`⏰ No answer after ${TIMEOUTS.outgoingCallRing / 1000} seconds`);
+            cancelCall('no-answer');
+        }
+    }, TIMEOUTS.outgoingCallRing);
+}
+
+function clearOutgoingRingTimeout() {
+    if (outgoingRingTimeout) {
+        clearTimeout(outgoingRingTimeout);
+        outgoingRingTimeout = null;
+    }
+}
+
+// Our outgoing call hasn't been picked up yet
+function isOutgoingCallRinging() {
+    return !!currentCall && getUserInfo().role === 'USER' &&
+        !['ACCEPTED', 'CONNECTED'].includes(currentCall.status);
+}
+
+export function handleOutgoingCallAnswered() {
+    stopTones();
+    clearOutgoingRingTimeout();
+    if (currentCall) {
+        currentCall.status = 'ACCEPTED';
+    }
+}
+
+// Queued behind another caller: the staff side owns the wait limit now, the ringback keeps playing
+export function handleOutgoingCallQueued() {
+    clearOutgoingRingTimeout();
+}
+
+// Caller hangs up before the call is answered (or the ring times out)
+export function cancelCall(reason = 'cancelled') {
+    if (!currentCall) {
+        notifyStatus('No outgoing call to cancel', true);
+        return;
+    }
+
+    console.log('📞 Cancelling call:', currentCall.id, reason);
+    sendSignal('call-cancel', {
+        callId: currentCall.id,
+        targetUserId: currentCall.staffUserId,
+        reason
+    });
+
+    // Leaves the call room and drops candidates still queued for it, like any other call ending
+    resetCall();
+    if (reason === 'no-answer') {
+        notifyStatus("The staff member didn't answer. Please try again later.", true);
+    } else {
+        notifyStatus('Call cancelled', false);
+    }
+}
+
 export async function acceptCall() {
     if (!currentCall) {
-        showStatus('No incoming call to accept', true);
+        notifyStatus('No incoming call to accept', true);
         return;
     }
     
     console.log('📞 Accepting call:', currentCall.id);
+    const callId = currentCall.id;
     
     try {
+        // Only one tab per account may own the call (and its camera/peer connection)
+        if (!(await claimCall(callId))) {
+            notifyStatus('This call is being answered in another tab', true);
+            return;
+        }
+
         // Join the call room first (CRITICAL: Staff must join the call room!)
-        socket.emit('join-call', { callId: currentCall.id });
+        emitMessage('join-call', { callId });
         
-        // Emit call acceptance
-        socket.emit('call-accept', {
-            callId: currentCall.id,
+        // The server acks only the first acceptance, so a second device loses here
+        const accepted = await sendSignal('call-accept', {
+            callId,
             targetUserId: currentCall.userId
         });
+        if (!currentCall || currentCall.id !== callId) {
+            return;
+        }
+        if (!accepted) {
+            notifyStatus('Call was answered elsewhere or is no longer available', true);
+            resetCall();
+            return;
+        }
+        announceCallHandled(callId, 'accepted');
         
         // Update call status
         currentCall.status = 'ACCEPTED';
+        setCallState('connecting', 'Connecting...');
         
-        // Now process any pending offer (this should happen AFTER manual acceptance)
-        console.log('🔄 Processing pending offer after manual acceptance...');
-        
-        // Try to process pending offer directly first
-        console.log('🔍 Attempting to process pending offer directly...');
-        const { processPendingOfferDirectly } = await import('./socket.js');
-        const offerProcessed = await processPendingOfferDirectly(currentCall.id);
-        
-        if (!offerProcessed) {
-            // Fallback to socket event
-            console.log('📤 Emitting process-pending-offer for call:', currentCall.id);
-            console.log('🔍 Socket connected:', socket.connected);
-            socket.emit('process-pending-offer', { callId: currentCall.id });
-            console.log('📤 process-pending-offer emitted successfully');
-        }
-        
-        // CRITICAL: Ensure we have media access BEFORE accepting call
+        // Media only now: ringing tabs never touch the camera/mic, just the one that won the call
         if (!localStream) {
             console.log('🎤 Initializing media for call acceptance...');
             await initializeMedia();
@@ -923,7 +1696,7 @@ export async function acceptCall() {
             console.log(`🔍 Local stream has ${tracks.length} tracks before accepting call`);
             if (tracks.length === 0) {
                 console.error('❌ CRITICAL: Local stream has NO tracks after initialization!');
-                showStatus('Microphone/camera access failed. Please check permissions.', true);
+                notifyStatus('Microphone/camera access failed. Please check permissions.', true);
                 return;
             }
             
@@ -940,16 +1713,31 @@ export async function acceptCall() {
             });
         } else {
             console.error('❌ CRITICAL: No local stream after initialization!');
-            showStatus('Failed to access microphone/camera', true);
+            notifyStatus('Failed to access microphone/camera', true);
             return;
         }
         
+        // Now process any pending offer (this should happen AFTER manual acceptance)
+        console.log('🔄 Processing pending offer after manual acceptance...');
+        
+        // Try to process pending offer directly first
+        console.log('🔍 Attempting to process pending offer directly...');
+        const { processPendingOfferDirectly } = await import('./socket.js');
+        const offerProcessed = await processPendingOfferDirectly(currentCall.id);
+        
+        if (!offerProcessed) {
+            // Fallback to socket event
+            console.log('📤 Emitting process-pending-offer for call:', currentCall.id);
+            console.log('🔍 Socket connected:', socket.connected);
+            emitMessage('process-pending-offer', { callId: currentCall.id });
+            console.log('📤 process-pending-offer emitted successfully');
+        }
+        
         // Check if we have a peer connection and remote description
         if (!peerConnection) {
             console.log('🔧 No peer connection exists, waiting for offer...');
-            showStatus('Call accepted, waiting for connection...', false);
-            updateCallStatus('Waiting for caller...');
-            showCallControls('connected');
+            notifyStatus('Call accepted, waiting for connection...', false);
+            setCallStateLabel('Waiting for caller...');
             return;
         }
         
@@ -972,14 +1760,14 @@ export async function acceptCall() {
         // Handle different signaling states
         if (peerConnection.signalingState === 'stable') {
             console.log('✅ Connection already established (stable state)');
-            showStatus('Call accepted - connection already established!', false);
-            updateCallStatus('Connected');
+            notifyStatus('Call accepted - connection already established!', false);
             
             // Check if we're actually connected
             if (peerConnection.iceConnectionState === 'connected' || 
                 peerConnection.iceConnectionState === 'completed') {
                 console.log('🎯 WebRTC connection is fully established');
-                showStatus('Call connected successfully!', false);
+                notifyStatus('Call connected successfully!', false);
+                setCallState('connected', 'Connected');
                 
                 // Start the call if not already started
                 if (currentCall && currentCall.status !== 'CONNECTED') {
@@ -995,52 +1783,39 @@ export async function acceptCall() {
                    peerConnection.signalingState === 'have-local-pranswer')) {
             
             console.log('📝 Creating answer for received offer');
-            const answer = await peerConnection.createAnswer({
+            const answer = await setLocalDescriptionWithCodecs(peerConnection, {
                 offerToReceiveAudio: true,
                 offerToReceiveVideo: true
             });
             
-            await peerConnection.setLocalDescription(answer);
-            
-            // Debug SDP content
-            console.log('🔍 Answer SDP contains audio:', answer.sdp.includes('m=audio'));
-            console.log('🔍 Answer SDP contains video:', answer.sdp.includes('m=video'));
-            if (answer.sdp.includes('m=audio')) {
-                console.log('🎵 Audio media line found in answer');
-            } else {
-                console.warn('⚠️ No audio media line in answer SDP!');
-            }
-            
             // Send answer back to caller
-            socket.emit('answer', {
+            sendSignal('answer', {
                 callId: currentCall.id,
                 targetUserId: currentCall.userId,
                 answer: answer
             });
             
             console.log('📤 Answer sent to caller');
-            showStatus('Call accepted, connecting...', false);
-            updateCallStatus('Connecting...');
+            notifyStatus('Call accepted, connecting...', false);
+            setCallStateLabel('Connecting...');
         } else {
             console.log('⚠️ Cannot create answer - invalid state or no remote description');
             console.log('Signaling state:', peerConnection.signalingState);
             console.log('Has remote description:', !!peerConnection.remoteDescription);
             
-            showStatus('Call accepted, waiting for caller to connect...', false);
-            updateCallStatus('Waiting for connection...');
+            notifyStatus('Call accepted, waiting for caller to connect...', false);
+            setCallStateLabel('Waiting for connection...');
         }
         
-        showCallControls('connected');
-        
     } catch (error) {
         console.error('Error accepting call:', error);
-        showStatus('Failed to accept call: ' + error.message, true);
+        notifyStatus('Failed to accept call: ' + error.message, true);
         
         // Try to recover by recreating peer connection
         try {
             console.log('🔄 Attempting to recover by recreating peer connection...');
             await createPeerConnection();
-            showStatus('Call accepted, connection reset. Waiting for caller...', false);
+            notifyStatus('Call accepted, connection reset. Waiting for caller...', false);
         } catch (recoveryError) {
             console.error('Failed to recover peer connection:', recoveryError);
         }
@@ -1049,44 +1824,51 @@ export async function acceptCall() {
 
 export function rejectCall() {
     if (!currentCall) {
-        showStatus('No incoming call to reject', true);
+        notifyStatus('No incoming call to reject', true);
         return;
     }
     
     console.log('📞 Rejecting call:', currentCall.id);
+    announceCallHandled(currentCall.id, 'rejected');
     
-    socket.emit('call-reject', {
+    sendSignal('call-reject', {
         callId: currentCall.id,
         targetUserId: currentCall.userId,
         reason: 'Call rejected by staff'
     });
     
-    cleanup();
-    showStatus('Call rejected', false);
-    showCallControls('idle');
+    // The server sends nothing back to us, so the next waiting caller has to be rung from here
+    notifyStatus('Call rejected', false);
+    resetCall();
 }
 
 export function endCall() {
     if (!currentCall) {
-        showStatus('No active call to end', true);
+        notifyStatus('No active call to end', true);
+        return;
+    }
+
+    // Never started: there is nothing to end on the server, only a ringing call to cancel
+    if (isOutgoingCallRinging()) {
+        cancelCall();
         return;
     }
     
-    socket.emit('call-end', {
+    sendSignal('call-end', {
         callId: currentCall.id
     });
     
-    cleanup();
-    showStatus('Call ended', false);
-    showCallControls('idle');
+    notifyStatus('Call ended', false);
+    resetCall();
 }
 
 // 🔵 AUDIO DEBUG: Test audio level function
 function testAudioLevel(track, trackName = 'Audio Track') {
-    if (track.kind !== 'audio') return;
+    const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+    if (track.kind !== 'audio' || !AudioContextClass) return;
     
     try {
-        const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        const audioContext = new AudioContextClass();
         const mediaStreamSource = audioContext.createMediaStreamSource(new MediaStream([track]));
         const analyser = audioContext.createAnalyser();
         
@@ -1183,6 +1965,28 @@ function startStatsMonitoring() {
 export function cleanup() {
     console.log('🔵 AUDIO DEBUG: Cleaning up WebRTC resources...');
     
+    stopIceRecovery();
+    stopTones();
+    clearOutgoingRingTimeout();
+
+    if (screenTrack) {
+        screenTrack.stop();
+        screenTrack = null;
+        screenSender = null;
+        emit('screenShare', { sharing: false, stream: null });
+    }
+    emit('remoteMediaSource', { callId: null, source: 'camera' });
+    clearVideoUpgrade();
+    if (currentCall) {
+        emit('callMode', { callId: null, mode: null });
+    }
+    // The camera is released below; the effect setting stays for the next one
+    if (getBackgroundTrack()) {
+        stopBackgroundEffect();
+        emit('background', { effect: backgroundEffect, stream: null });
+    }
+    callMode = 'video';
+
     // Clear stats monitoring
     if (statsInterval) {
         clearInterval(statsInterval);
@@ -1202,9 +2006,20 @@ export function cleanup() {
             track.stop();
         });
         localStream = null;
+        emit('localStream', { stream: null });
     }
 
+    if (remoteStream) {
+        remoteStream = null;
+        emit('remoteStream', { stream: null });
+    }
+    emit('connection', { iceConnectionState: null });
+
+    if (currentCall) {
+        releaseCall(currentCall.id);
+    }
     currentCall = null;
+    negotiatedCodecs = null;
     iceCandidateBuffer = [];
     iceCandidateCount = 0;
     
@@ -0,0 +1,74 @@
+// auth.js token refresh: a refresh that is still in flight when its session ends must not bring it back
+import { backend } from './support/setup.mjs';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { refreshSession, getUserInfo, logout } from '../public/js/webrtc/auth.js';
+import { makeToken, USERS } from './support/backend.mjs';
+import { login } from './support/helpers.mjs';
+
+afterEach(async () => {
+    backend.refresh = null;
+    if (getUserInfo().token) {
+        await logout();
+    }
+});
+
+// Hold the next refresh response until release() is called
+function holdRefresh() {
+    let release;
+    const response = new Promise(resolve => {
+        release = () => resolve({
+            success: true,
+            data: { token: makeToken({ id: USERS.user1.id, role: 'USER', late: true }), refreshToken: 'refresh-late' }
+        });
+    });
+    backend.refresh = () => response;
+    return { release };
+}
+
+// What auth.js persisted for the mock environment, if anything
+function storedSession() {
+    return JSON.parse(sessionStorage.getItem('takemate.session.mock'));
+}
+
+test('a refresh replaces the token and re-authenticates the socket', async () => {
+    const socket = await login('user1');
+    const before = getUserInfo().token;
+
+    assert.equal(await refreshSession(), true);
+
+    assert.notEqual(getUserInfo().token, before);
+    assert.equal(socket.lastSent('authenticate').token, getUserInfo().token);
+    assert.equal(storedSession().token, getUserInfo().token);
+});
+
+test('a refresh that returns after logout is dropped', async () => {
+    const socket = await login('user1');
+    const held = holdRefresh();
+    const refreshing = refreshSession();
+
+    await logout();
+    socket.clearSent();
+    held.release();
+
+    assert.equal(await refreshing, false);
+    assert.equal(getUserInfo().token, null);
+    assert.equal(storedSession(), null, 'the ended session is not persisted again');
+    assert.equal(socket.sentOf('authenticate').length, 0);
+});
+
+test('a refresh that returns after logging in again keeps the new session', async () => {
+    await login('user1');
+    const held = holdRefresh();
+    const refreshing = refreshSession();
+
+    await logout();
+    const socket = await login('user1');
+    const current = getUserInfo().token;
+    held.release();
+
+    assert.equal(await refreshing, false);
+    assert.equal(getUserInfo().token, current);
+    assert.equal(storedSession().token, current);
+    assert.equal(socket.sentOf('authenticate').length, 0);
+});
@@ -0,0 +1,201 @@
+// Headless Chromium against mock/server.mjs: a user and a staff member log in through the page,
+// then call, answer, hang up and reject, with Chromium's fake camera and microphone.
+//
+//   npx playwright install chromium    once
+//   npm run test:e2e
+//
+// CHROMIUM_PATH=/path/to/chrome uses an installed Chromium instead of Playwright's download.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { chromium } from 'playwright';
+
+const ROOT_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', '..');
+const STARTUP_TIMEOUT = 10000;
+const STEP_TIMEOUT = 15000;
+const TEST_OTP = '123456';
+
+// Seeded in mock/server.mjs; the page adds the +91
+const ACCOUNTS = {
+    user: { phone: '9876543210' },
+    staff: { phone: '9876543220', staffId: 'staff-1' }
+};
+
+// --port=0: the server picks a free port and prints it
+function startMockServer() {
+    const server = spawn(process.execPath, [join(ROOT_DIR, 'mock', 'server.mjs'), '--port=0'], {
+        cwd: ROOT_DIR,
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    return new Promise((resolve, reject) => {
+        let output = '';
+        const timer = setTimeout(() => {
+            server.kill();
+            reject(new Error(`Mock server did not start:\n${output}`));
+        }, STARTUP_TIMEOUT);
+
+        // stdout belongs to the test runner's reporter, so the server's log goes to stderr
+        const onData = (chunk) => {
+            output += chunk;
+            if (process.env.TEST_VERBOSE) process.stderr.write(chunk);
+            const match = output.match(/mock backend on (http:\/\/\S+?)\/\?env=mock/);
+            if (match) {
+                clearTimeout(timer);
+                resolve({ server, baseUrl: match[1] });
+            }
+        };
+        server.stdout.on('data', onData);
+        server.stderr.on('data', onData);
+        server.on('exit', (code) => {
+            clearTimeout(timer);
+            reject(new Error(`Mock server exited with ${code}:\n${output}`));
+        });
+    });
+}
+
+// Each participant gets its own context, i.e. its own storage and session, like two browsers
+async function logIn(browser, baseUrl, { phone }) {
+    const context = await browser.newContext();
+    // Status messages replace each other quickly (a staff list refresh follows most call events), so keep them all
+    await context.addInitScript(() => {
+        window.statusHistory = [];
+        document.addEventListener('DOMContentLoaded', () => {
+            const status = document.getElementById('loginStatus');
+            new MutationObserver(() => window.statusHistory.push(status.textContent))
+                .observe(status, { childList: true, characterData: true, subtree: true });
+        });
+    });
+    const page = await context.newPage();
+    if (process.env.TEST_VERBOSE) {
+        page.on('console', message => process.stderr.write(`[${phone}] ${message.text()}\n`));
+    }
+
+    await page.goto(`${baseUrl}/?env=mock`);
+    await page.selectOption('#countryCode', '+91');
+    await page.fill('#phoneNumber', phone);
+    await page.click('#sendOtpBtn');
+    await page.fill('#otpInput', TEST_OTP);
+    await page.click('#verifyOtpBtn');
+    await page.locator('#callSection').waitFor({ state: 'visible' });
+    return page;
+}
+
+function waitForText(page, selector, text) {
+    return page.waitForFunction(
+        ([selector, text]) => document.querySelector(selector)?.textContent.startsWith(text),
+        [selector, text],
+        { timeout: STEP_TIMEOUT }
+    );
+}
+
+// Any status message since login starting with `text`
+function waitForStatus(page, text) {
+    return page.waitForFunction(
+        text => window.statusHistory.some(message => message.startsWith(text)),
+        text,
+        { timeout: STEP_TIMEOUT }
+    );
+}
+
+function waitForIceState(page, state) {
+    return page.waitForFunction(
+        state => document.getElementById('callStatus').dataset.iceState === state,
+        state,
+        { timeout: STEP_TIMEOUT }
+    );
+}
+
+// The call buttons currently shown, e.g. ['endCallBtn']
+async function visibleControls(page) {
+    return page.$$eval('.call-buttons button', buttons => buttons
+        .filter(button => !button.classList.contains('hidden'))
+        .map(button => button.id));
+}
+
+async function startCall(page, staffId) {
+    await page.click(`.staff-card[data-staff-id="${staffId}"]`);
+    await page.click('#startCallBtn');
+}
+
+let mock;
+let browser;
+let user;
+let staff;
+
+before(async () => {
+    mock = await startMockServer();
+    // Even if the suite crashes, don't leave the server running
+    process.on('exit', () => mock.server.kill());
+
+    browser = await chromium.launch({
+        executablePath: process.env.CHROMIUM_PATH || undefined,
+        args: [
+            '--use-fake-device-for-media-stream',
+            '--use-fake-ui-for-media-stream',
+            // Plain host candidates: the two pages can't always resolve each other's mDNS (.local) names
+            '--disable-features=WebRtcHideLocalIpsWithMdns'
+        ]
+    });
+    staff = await logIn(browser, mock.baseUrl, ACCOUNTS.staff);
+    await waitForStatus(staff, 'Connected to server');
+    user = await logIn(browser, mock.baseUrl, ACCOUNTS.user);
+});
+
+after(async () => {
+    await browser?.close();
+    mock?.server.kill();
+});
+
+test('both sides land on the call screen and the user sees the staff member', async () => {
+    // The list is fetched once the user's socket connects
+    await user.locator(`.staff-card.available[data-staff-id="${ACCOUNTS.staff.staffId}"]`).waitFor({ timeout: STEP_TIMEOUT });
+    assert.deepEqual(await visibleControls(user), ['startCallBtn']);
+    assert.deepEqual(await visibleControls(staff), ['startCallBtn']);
+});
+
+test('call, accept, connect and end', async () => {
+    await startCall(user, ACCOUNTS.staff.staffId);
+    await waitForText(user, '#callStatus', 'Calling...');
+    // Until the staff member answers, hanging up cancels the call
+    assert.deepEqual(await visibleControls(user), ['cancelCallBtn']);
+
+    await waitForText(staff, '#callStatus', 'Incoming call from User1');
+    assert.deepEqual(await visibleControls(staff), ['acceptCallBtn', 'rejectCallBtn']);
+    await staff.click('#acceptCallBtn');
+
+    await Promise.all([waitForIceState(user, 'connected'), waitForIceState(staff, 'connected')]);
+    await Promise.all([waitForText(user, '#callStatus', 'Connected'), waitForText(staff, '#callStatus', 'Connected')]);
+    assert.deepEqual(await visibleControls(user), ['endCallBtn']);
+    assert.deepEqual(await visibleControls(staff), ['endCallBtn']);
+
+    // The caller's timer runs from the accept
+    await user.waitForFunction(() => document.getElementById('callDuration').textContent !== '00:00', null, { timeout: STEP_TIMEOUT });
+    assert.match(await user.textContent('#callDuration'), /^00:0[1-9]$/);
+
+    await user.click('#endCallBtn');
+
+    // Both sides reset once the server confirms the end
+    await Promise.all([waitForStatus(user, 'Call ended. Duration'), waitForStatus(staff, 'Call ended. Duration')]);
+    for (const page of [user, staff]) {
+        assert.deepEqual(await visibleControls(page), ['startCallBtn']);
+        assert.equal(await page.textContent('#callDuration'), '00:00');
+        assert.equal(await page.textContent('#callStatus'), '');
+        assert.equal(await page.getAttribute('#callStatus', 'data-ice-state'), null);
+    }
+});
+
+test('the staff member rejects the call', async () => {
+    await startCall(user, ACCOUNTS.staff.staffId);
+    await waitForText(staff, '#callStatus', 'Incoming call from User1');
+
+    await staff.click('#rejectCallBtn');
+
+    await waitForStatus(user, 'Call rejected by Staff1');
+    await user.locator('#startCallBtn').waitFor({ state: 'visible', timeout: STEP_TIMEOUT });
+    assert.deepEqual(await visibleControls(user), ['startCallBtn']);
+    assert.equal(await user.textContent('#callStatus'), '');
+    assert.deepEqual(await visibleControls(staff), ['startCallBtn']);
+});
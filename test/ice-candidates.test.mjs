@@ -0,0 +1,183 @@
+// Remote ICE candidates in every arrival order: queued until their call has a remote description,
+// applied in order once it does, and dropped for calls that are over
+import './support/setup.mjs';
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { acceptCall, rejectCall, getCurrentCall, getPeerConnection, getQueuedCandidateCount } from '../public/js/webrtc/webrtc.js';
+import { resetCall, disconnectSocket, getWaitingCalls } from '../public/js/webrtc/socket.js';
+import { logout } from '../public/js/webrtc/auth.js';
+import { USERS } from './support/backend.mjs';
+import { login, waitForState, fromServer, hostCandidate, incomingCall, remoteOffer } from './support/helpers.mjs';
+
+let socket;
+
+before(async () => {
+    socket = await login('staff1');
+});
+
+afterEach(async () => {
+    for (const waiting of getWaitingCalls()) {
+        await socket.receive('call-cancelled', fromServer({ callId: waiting.callId }));
+    }
+    resetCall();
+    socket.clearSent();
+});
+
+after(async () => {
+    await logout();
+});
+
+function candidate(callId, port) {
+    return socket.receive('ice-candidate', fromServer({ callId, candidate: hostCandidate(port), from: USERS.user1.id }));
+}
+
+function offer(callId, from = USERS.user1.id) {
+    return socket.receive('offer', fromServer({ callId, offer: remoteOffer(), from }));
+}
+
+function addedPorts() {
+    return getPeerConnection().addedCandidates.map(added => Number(added.candidate.split(' ')[5]));
+}
+
+test('candidates that arrive before the offer are queued, then applied in order after it', async () => {
+    await socket.receive('incoming-call', incomingCall('call-early'));
+    await candidate('call-early', 40001);
+    await candidate('call-early', 40002);
+    assert.equal(getQueuedCandidateCount('call-early'), 2);
+
+    await offer('call-early');
+    await acceptCall();
+
+    assert.deepEqual(addedPorts(), [40001, 40002]);
+    assert.equal(getQueuedCandidateCount('call-early'), 0);
+});
+
+test('candidates trickled before the call even rings are kept for it', async () => {
+    await candidate('call-trickled', 40011);
+    await socket.receive('incoming-call', incomingCall('call-trickled'));
+    await offer('call-trickled');
+
+    await acceptCall();
+
+    assert.deepEqual(addedPorts(), [40011]);
+});
+
+test('offer before accept: candidates wait for the staff member, not just for the offer', async () => {
+    await socket.receive('incoming-call', incomingCall('call-offer-first'));
+    await offer('call-offer-first');
+    await candidate('call-offer-first', 40021);
+
+    assert.equal(getPeerConnection(), null, 'nothing is negotiated before accepting');
+    assert.equal(getQueuedCandidateCount('call-offer-first'), 1);
+
+    await acceptCall();
+
+    assert.deepEqual(addedPorts(), [40021]);
+    await candidate('call-offer-first', 40022);
+    assert.deepEqual(addedPorts(), [40021, 40022], 'later candidates go straight to the connection');
+    await waitForState('connected');
+});
+
+test('accept before offer: candidates queue until the offer is set', async () => {
+    await socket.receive('incoming-call', incomingCall('call-accept-first'));
+    await acceptCall();
+    assert.equal(getCurrentCall().status, 'ACCEPTED');
+
+    await candidate('call-accept-first', 40031);
+    assert.equal(getQueuedCandidateCount('call-accept-first'), 1);
+
+    await offer('call-accept-first');
+
+    assert.deepEqual(addedPorts(), [40031]);
+    assert.equal(getQueuedCandidateCount('call-accept-first'), 0);
+    assert.equal(socket.lastSent('answer').callId, 'call-accept-first');
+});
+
+test('a numeric call id and its string form share one queue', async () => {
+    await socket.receive('incoming-call', incomingCall(42));
+    await candidate(42, 40091);
+    await candidate('42', 40092);
+    assert.equal(getQueuedCandidateCount(42), 2);
+    assert.equal(getQueuedCandidateCount('42'), 2);
+
+    await offer(42);
+    await acceptCall();
+
+    assert.deepEqual(addedPorts(), [40091, 40092]);
+    assert.equal(getQueuedCandidateCount(42), 0);
+
+    await socket.receive('call-ended', fromServer({ callId: 42 }));
+    await candidate('42', 40093);
+    assert.equal(getQueuedCandidateCount(42), 0, 'the finished call drops late candidates in either form');
+});
+
+test('candidates for another call never reach the current connection', async () => {
+    await socket.receive('incoming-call', incomingCall('call-current'));
+    await offer('call-current');
+    await acceptCall();
+
+    await candidate('call-foreign', 40041);
+
+    assert.deepEqual(addedPorts(), []);
+    assert.equal(getQueuedCandidateCount('call-foreign'), 1, 'held in case that call rings here later');
+
+    // That caller gives up: their candidates go with them
+    await socket.receive('call-cancelled', fromServer({ callId: 'call-foreign' }));
+    assert.equal(getQueuedCandidateCount('call-foreign'), 0);
+    await candidate('call-foreign', 40042);
+    assert.equal(getQueuedCandidateCount('call-foreign'), 0);
+});
+
+test('late candidates for a call that already ended are dropped', async () => {
+    await socket.receive('incoming-call', incomingCall('call-stale'));
+    await offer('call-stale');
+    await acceptCall();
+    await socket.receive('call-ended', fromServer({ callId: 'call-stale' }));
+
+    await candidate('call-stale', 40051);
+    assert.equal(getQueuedCandidateCount('call-stale'), 0);
+
+    // Nor do they leak into the next call
+    await socket.receive('incoming-call', incomingCall('call-next'));
+    await offer('call-next');
+    await acceptCall();
+    assert.deepEqual(addedPorts(), []);
+});
+
+test('the queue is discarded when a ringing call is reset', async () => {
+    await socket.receive('incoming-call', incomingCall('call-declined'));
+    await candidate('call-declined', 40061);
+    await candidate('call-declined', 40062);
+
+    rejectCall();
+
+    assert.equal(getQueuedCandidateCount('call-declined'), 0);
+    await candidate('call-declined', 40063);
+    assert.equal(getQueuedCandidateCount('call-declined'), 0);
+});
+
+test('a waiting caller keeps their candidates until they ring', async () => {
+    await socket.receive('incoming-call', incomingCall('call-ringing', { id: 'user-7', name: 'User7' }));
+    await socket.receive('incoming-call', incomingCall('call-waiting'));
+    await offer('call-waiting');
+    await candidate('call-waiting', 40071);
+
+    rejectCall();
+    assert.equal(getCurrentCall().id, 'call-waiting');
+    assert.equal(getQueuedCandidateCount('call-waiting'), 1);
+
+    await acceptCall();
+
+    assert.deepEqual(addedPorts(), [40071]);
+});
+
+test('disconnecting the socket drops every queue', async () => {
+    await candidate('call-x', 40081);
+    await candidate('call-y', 40082);
+
+    disconnectSocket();
+
+    assert.equal(getQueuedCandidateCount('call-x'), 0);
+    assert.equal(getQueuedCandidateCount('call-y'), 0);
+    socket = await login('staff1');
+});
@@ -0,0 +1,36 @@
+// Runs the unit tests with the built-in runner (Node 20+):
+//
+//   node test/run.mjs            every *.test.mjs under test/
+//   node test/run.mjs socket     only files whose path contains "socket"
+//
+// The browser suite in test/e2e needs Chromium and runs on its own (npm run test:e2e).
+// TEST_VERBOSE=1 shows the modules' console logging.
+import { spawn } from 'node:child_process';
+import { readdir } from 'node:fs/promises';
+import { dirname, join, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const TEST_DIR = dirname(fileURLToPath(import.meta.url));
+
+async function findTestFiles(dir) {
+    const entries = await readdir(dir, { withFileTypes: true });
+    const files = await Promise.all(entries.map(entry => {
+        const path = join(dir, entry.name);
+        if (entry.isDirectory()) return entry.name === 'e2e' ? [] : findTestFiles(path);
+        return entry.name.endsWith('.test.mjs') ? [path] : [];
+    }));
+    return files.flat().sort();
+}
+
+const filters = process.argv.slice(2);
+const files = (await findTestFiles(TEST_DIR))
+    .filter(file => filters.length === 0 || filters.some(filter => relative(TEST_DIR, file).includes(filter)));
+
+if (files.length === 0) {
+    console.error('No test files match', filters.join(', '));
+    process.exit(1);
+}
+
+// Files are listed explicitly: given a directory, Node would also run the helpers under test/support
+const child = spawn(process.execPath, ['--test', ...files], { stdio: 'inherit' });
+child.on('exit', (code, signal) => process.exit(signal ? 1 : code));
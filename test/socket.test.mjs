@@ -0,0 +1,402 @@
+// Staff side of socket.js: ringing, out-of-order signaling, accept/reject, call waiting and teardown on server events
+import { media } from './support/setup.mjs';
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { initializeCallSession, acceptCall, rejectCall, getCurrentCall, getPeerConnection, getLocalStream } from '../public/js/webrtc/webrtc.js';
+import { resetCall, acceptWaitingCall, getWaitingCalls } from '../public/js/webrtc/socket.js';
+import { isBusyInAnotherTab } from '../public/js/webrtc/tabs.js';
+import { logout } from '../public/js/webrtc/auth.js';
+import { getCallState } from '../public/js/webrtc/events.js';
+import { USERS } from './support/backend.mjs';
+import { login, waitFor, waitForState, fromServer, hostCandidate, incomingCall, remoteOffer, record } from './support/helpers.mjs';
+
+let socket;
+// Stands in for a second tab logged in to the same staff account
+const otherTab = new BroadcastChannel(`takemate.calls.mock.${USERS.staff1.id}`);
+const otherTabSeen = [];
+otherTab.onmessage = event => otherTabSeen.push(event.data);
+
+before(async () => {
+    socket = await login('staff1');
+});
+
+afterEach(async () => {
+    // Empty the queue first, otherwise resetting the call rings the next waiting caller
+    for (const waiting of getWaitingCalls()) {
+        await socket.receive('call-cancelled', fromServer({ callId: waiting.callId }));
+    }
+    resetCall();
+    socket.replies.clear();
+    socket.clearSent();
+});
+
+after(async () => {
+    await logout();
+    otherTab.close();
+});
+
+async function otherTabBusy(busy) {
+    otherTab.postMessage({ type: 'busy', busy, tabId: 'tab-other' });
+    await waitFor(() => isBusyInAnotherTab() === busy, `other tab ${busy ? 'busy' : 'idle'}`);
+}
+
+function caller(n) {
+    return { id: `user-${n}`, name: `User${n}` };
+}
+
+function offerFrom(callId, from = USERS.user1.id) {
+    return fromServer({ callId, offer: remoteOffer(), from });
+}
+
+async function answered(callId) {
+    const answer = await waitFor(() => socket.lastSent('answer'), 'answer');
+    assert.equal(answer.callId, callId);
+    assert.equal(answer.targetUserId, USERS.user1.id);
+    assert.equal(answer.answer.type, 'answer');
+    return answer;
+}
+
+test('staff go online once the socket connects', () => {
+    const status = socket.lastSent('staff-status-update');
+    assert.equal(status.status, 'online');
+    assert.equal(status.staffId, USERS.staff1.id);
+});
+
+test('a staff session gets the device pickers and quality presets without opening the camera', async () => {
+    const devices = record('devices');
+    const quality = record('quality');
+    const captures = media.mediaDevices.getUserMediaCalls.length;
+
+    await initializeCallSession();
+
+    assert.ok(devices.seen.at(-1).devices.some(device => device.kind === 'videoinput'));
+    assert.ok(quality.seen.at(-1).presets.length > 0);
+    assert.equal(media.mediaDevices.getUserMediaCalls.length, captures);
+    assert.equal(getLocalStream(), null);
+    devices.stop();
+    quality.stop();
+});
+
+test('an incoming call rings without touching the camera or creating a peer connection', async () => {
+    const incoming = record('incoming');
+    const captures = media.mediaDevices.getUserMediaCalls.length;
+
+    await socket.receive('incoming-call', incomingCall('call-ring'));
+
+    assert.deepEqual(socket.lastSent('join-call'), { callId: 'call-ring', v: 1 });
+    assert.equal(getCurrentCall().id, 'call-ring');
+    assert.equal(getCurrentCall().status, 'INCOMING');
+    assert.deepEqual(getCallState(), { state: 'incoming', label: 'Incoming call from User1' });
+    assert.equal(incoming.seen[0].callId, 'call-ring');
+    assert.equal(media.mediaDevices.getUserMediaCalls.length, captures);
+    assert.equal(getPeerConnection(), null, 'only the tab that accepts builds a peer connection');
+    incoming.stop();
+});
+
+test('a redelivered incoming call rings only once', async () => {
+    const incoming = record('incoming');
+    const payload = incomingCall('call-again');
+
+    await socket.receive('incoming-call', payload);
+    await socket.receive('incoming-call', payload);
+
+    assert.equal(incoming.seen.length, 1);
+    assert.equal(socket.sentOf('join-call').length, 1);
+    incoming.stop();
+});
+
+test('accepting answers the offer that arrived while ringing', async () => {
+    await socket.receive('incoming-call', incomingCall('call-accept'));
+    await socket.receive('offer', offerFrom('call-accept'));
+    assert.equal(getPeerConnection(), null, 'the offer waits for the staff member to accept');
+
+    await acceptCall();
+
+    const accept = socket.lastSent('call-accept');
+    assert.equal(accept.callId, 'call-accept');
+    assert.equal(accept.targetUserId, USERS.user1.id);
+    assert.ok(getLocalStream(), 'media is captured on accept');
+    await answered('call-accept');
+
+    await waitForState('connected');
+    const callStart = await waitFor(() => socket.lastSent('call-start'), 'call-start');
+    assert.equal(callStart.callId, 'call-accept');
+});
+
+test('accepting an audio call captures the microphone only', async () => {
+    const captures = media.mediaDevices.getUserMediaCalls.length;
+    await socket.receive('incoming-call', { ...incomingCall('call-audio'), callDetails: { mode: 'audio' } });
+    await socket.receive('offer', offerFrom('call-audio'));
+
+    await acceptCall();
+
+    assert.deepEqual(media.mediaDevices.getUserMediaCalls.slice(captures).map(constraints => constraints.video), [false],
+        'the camera is never opened');
+    assert.equal(getLocalStream().getVideoTracks().length, 0);
+    await answered('call-audio');
+});
+
+test('an offer that overtakes the incoming call is kept for it', async () => {
+    await socket.receive('offer', offerFrom('call-early'));
+    await socket.receive('incoming-call', incomingCall('call-early'));
+
+    await acceptCall();
+
+    await answered('call-early');
+    assert.equal(getPeerConnection().remoteDescription.type, 'offer');
+});
+
+test('accepting before the offer arrives answers it when it does', async () => {
+    await socket.receive('incoming-call', incomingCall('call-slow'));
+    await acceptCall();
+    assert.equal(socket.lastSent('process-pending-offer').callId, 'call-slow');
+    assert.equal(socket.sentOf('answer').length, 0);
+
+    await socket.receive('offer', offerFrom('call-slow'));
+
+    await answered('call-slow');
+    await waitForState('connected');
+});
+
+test('ICE candidates that arrive before the offer are added after it', async () => {
+    await socket.receive('ice-candidate', fromServer({ callId: 'call-ice', candidate: hostCandidate(40001) }));
+    await socket.receive('incoming-call', incomingCall('call-ice'));
+    await socket.receive('ice-candidate', fromServer({ callId: 'call-ice', candidate: hostCandidate(40002) }));
+    await socket.receive('offer', offerFrom('call-ice'));
+
+    await acceptCall();
+
+    await waitFor(() => getPeerConnection().addedCandidates.length === 2, 'both early candidates added');
+    const added = getPeerConnection().addedCandidates.map(candidate => candidate.candidate).sort();
+    assert.deepEqual(added, [hostCandidate(40001).candidate, hostCandidate(40002).candidate]);
+});
+
+test('a malformed offer never reaches the peer connection', async () => {
+    await socket.receive('incoming-call', incomingCall('call-bad'));
+    await acceptCall();
+
+    await socket.receive('offer', fromServer({ callId: 'call-bad', offer: { type: 'offer', sdp: '' }, from: USERS.user1.id }));
+
+    assert.equal(socket.sentOf('answer').length, 0);
+    assert.equal(getPeerConnection()?.remoteDescription ?? null, null);
+});
+
+test('an offer from someone other than the caller is not answered', async () => {
+    await socket.receive('incoming-call', incomingCall('call-spoof'));
+    await acceptCall();
+
+    await socket.receive('offer', offerFrom('call-spoof', 'user-intruder'));
+
+    assert.equal(socket.sentOf('answer').length, 0);
+    assert.equal(getPeerConnection()?.remoteDescription ?? null, null);
+});
+
+test('losing the accept to another device resets the call without keeping media', async () => {
+    socket.replies.set('call-accept', { success: false, message: 'Call already accepted' });
+    const status = record('status');
+    await socket.receive('incoming-call', incomingCall('call-lost'));
+
+    await acceptCall();
+
+    assert.equal(getCurrentCall(), null);
+    assert.equal(getCallState().state, 'idle');
+    assert.equal(getPeerConnection(), null);
+    assert.equal(getLocalStream(), null);
+    assert.deepEqual(socket.lastSent('leave-call'), { callId: 'call-lost', v: 1 });
+    assert.ok(status.seen.some(({ message }) => /answered elsewhere/.test(message)));
+    status.stop();
+});
+
+test('a call answered on another device stops ringing here', async () => {
+    await socket.receive('incoming-call', incomingCall('call-taken'));
+
+    await socket.receive('call-handled-elsewhere', fromServer({ callId: 'call-taken', action: 'accepted' }));
+
+    assert.equal(getCurrentCall(), null);
+    assert.equal(getCallState().state, 'idle');
+    assert.equal(socket.sentOf('call-accept').length, 0);
+});
+
+test('rejecting tells the caller and returns to idle', async () => {
+    await socket.receive('incoming-call', incomingCall('call-reject'));
+
+    rejectCall();
+
+    const reject = socket.lastSent('call-reject');
+    assert.equal(reject.callId, 'call-reject');
+    assert.equal(reject.targetUserId, USERS.user1.id);
+    assert.deepEqual(socket.lastSent('leave-call'), { callId: 'call-reject', v: 1 });
+    assert.equal(getCurrentCall(), null);
+    assert.equal(getPeerConnection(), null);
+    assert.equal(getCallState().state, 'idle');
+});
+
+test('call-ended from the server ends the call, but an echo for another call does not', async () => {
+    await socket.receive('incoming-call', incomingCall('call-live'));
+    await socket.receive('offer', offerFrom('call-live'));
+    await acceptCall();
+    await waitForState('connected');
+
+    await socket.receive('call-ended', fromServer({ callId: 'call-older', duration: 3, cost: 1 }));
+    assert.equal(getCurrentCall().id, 'call-live');
+    assert.equal(getCallState().state, 'connected');
+    const pc = getPeerConnection();
+    const tracks = getLocalStream().getTracks();
+
+    const status = record('status');
+
+    await socket.receive('call-ended', fromServer({ callId: 'call-live', duration: 30, cost: 5 }));
+
+    assert.equal(getCurrentCall(), null);
+    assert.equal(pc.signalingState, 'closed');
+    assert.ok(tracks.every(track => track.readyState === 'ended'));
+    assert.equal(getCallState().state, 'idle');
+    assert.ok(status.seen.some(({ message }) => /^Call ended/.test(message)));
+    status.stop();
+});
+
+test('a second caller waits in the queue and rings once the first is rejected', async () => {
+    const queue = record('queue');
+    await socket.receive('incoming-call', incomingCall('call-first', caller(1)));
+    await socket.receive('incoming-call', incomingCall('call-second', caller(2)));
+
+    assert.equal(getCurrentCall().id, 'call-first');
+    assert.deepEqual(getWaitingCalls().map(waiting => waiting.callId), ['call-second']);
+    const waiting = await waitFor(() => socket.lastSent('call-waiting'), 'call-waiting');
+    assert.deepEqual([waiting.callId, waiting.position], ['call-second', 1]);
+    assert.deepEqual(queue.seen.at(-1).calls.map(call => call.callId), ['call-second']);
+
+    rejectCall();
+
+    await waitForState('incoming');
+    assert.equal(getCurrentCall().id, 'call-second');
+    assert.deepEqual(getWaitingCalls(), []);
+    queue.stop();
+});
+
+test('callers beyond the queue limit are turned away as busy', async () => {
+    await socket.receive('incoming-call', incomingCall('call-a', caller(1)));
+    for (const [n, callId] of [[2, 'call-b'], [3, 'call-c'], [4, 'call-d']]) {
+        await socket.receive('incoming-call', incomingCall(callId, caller(n)));
+    }
+
+    await socket.receive('incoming-call', incomingCall('call-e', caller(5)));
+
+    assert.equal(getWaitingCalls().length, 3);
+    const reject = await waitFor(() => socket.lastSent('call-reject'), 'call-reject');
+    assert.deepEqual([reject.callId, reject.targetUserId], ['call-e', 'user-5']);
+});
+
+test('picking a waiting caller accepts them while the ringing caller waits', async () => {
+    await socket.receive('incoming-call', incomingCall('call-ringing', caller(1)));
+    await socket.receive('incoming-call', incomingCall('call-picked', caller(2)));
+
+    assert.equal(await acceptWaitingCall('call-picked'), true);
+
+    assert.equal(getCurrentCall().id, 'call-picked');
+    assert.equal(getCurrentCall().status, 'ACCEPTED');
+    assert.deepEqual(getWaitingCalls().map(waiting => waiting.callId), ['call-ringing']);
+    assert.equal(socket.sentOf('call-reject').length, 0, 'nobody is turned away as busy');
+});
+
+test('picking a caller from a full queue puts the ringing caller back in their place', async () => {
+    await socket.receive('incoming-call', incomingCall('call-a', caller(1)));
+    for (const [n, callId] of [[2, 'call-b'], [3, 'call-c'], [4, 'call-d']]) {
+        // Distinct arrival times, so the queue order is well defined
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await socket.receive('incoming-call', incomingCall(callId, caller(n)));
+    }
+    assert.equal(getWaitingCalls().length, 3);
+
+    assert.equal(await acceptWaitingCall('call-c'), true);
+
+    assert.equal(getCurrentCall().id, 'call-c');
+    assert.deepEqual(getWaitingCalls().map(waiting => waiting.callId), ['call-a', 'call-b', 'call-d']);
+    assert.equal(socket.sentOf('call-reject').length, 0, 'nobody is turned away as busy');
+});
+
+test('a caller hanging up while waiting leaves the queue', async () => {
+    await socket.receive('incoming-call', incomingCall('call-busy', caller(1)));
+    await socket.receive('incoming-call', incomingCall('call-gone', caller(2)));
+
+    await socket.receive('call-cancelled', fromServer({ callId: 'call-gone', cancelledByName: 'User2' }));
+
+    assert.deepEqual(getWaitingCalls(), []);
+    assert.equal(getCurrentCall().id, 'call-busy');
+});
+
+test('a caller cancelling while it rings stops the ringing', async () => {
+    const status = record('status');
+    await socket.receive('incoming-call', incomingCall('call-cancelled'));
+
+    await socket.receive('call-cancelled', fromServer({ callId: 'call-cancelled', cancelledByName: 'User1' }));
+
+    assert.equal(getCurrentCall(), null);
+    assert.equal(getCallState().state, 'idle');
+    assert.ok(status.seen.some(({ message }) => message === 'User1 cancelled the call'));
+    status.stop();
+});
+
+test('accepting tells the other tabs this one is busy', async () => {
+    await socket.receive('incoming-call', incomingCall('call-here'));
+    await socket.receive('offer', offerFrom('call-here'));
+
+    await acceptCall();
+
+    // Messages from earlier tests may still be arriving, so look only at what follows the accept
+    const handled = await waitFor(() => {
+        const index = otherTabSeen.findIndex(message => message.type === 'call-handled' && message.callId === 'call-here');
+        return index >= 0 && index + 1;
+    }, 'call-handled');
+    const busyBefore = otherTabSeen.slice(0, handled - 1).filter(message => message.type === 'busy').at(-1);
+    assert.equal(busyBefore.busy, true, 'busy is announced before the accept');
+
+    // A tab opened mid-call asks, and is told
+    const seen = otherTabSeen.length;
+    otherTab.postMessage({ type: 'busy-query', tabId: 'tab-other' });
+    await waitFor(() => otherTabSeen.slice(seen).find(message => message.type === 'busy' && message.busy), 'busy reply');
+
+    resetCall();
+    await waitFor(() => otherTabSeen.slice(seen).find(message => message.type === 'busy' && !message.busy), 'idle');
+});
+
+test('a caller waits instead of ringing while another tab is on a call', async () => {
+    await otherTabBusy(true);
+
+    await socket.receive('incoming-call', incomingCall('call-held', caller(1)));
+
+    assert.equal(getCurrentCall(), null);
+    assert.equal(getCallState().state, 'idle');
+    assert.deepEqual(getWaitingCalls().map(waiting => waiting.callId), ['call-held']);
+
+    await otherTabBusy(false);
+
+    await waitForState('incoming');
+    assert.equal(getCurrentCall().id, 'call-held');
+    assert.deepEqual(getWaitingCalls(), []);
+});
+
+test('a call accepted in another tab leaves the next caller waiting until that call ends', async () => {
+    await socket.receive('incoming-call', incomingCall('call-first', caller(1)));
+    await socket.receive('incoming-call', incomingCall('call-second', caller(2)));
+
+    otherTab.postMessage({ type: 'call-handled', callId: 'call-first', action: 'accepted', tabId: 'tab-other' });
+
+    await waitForState('idle');
+    assert.equal(getCurrentCall(), null);
+    assert.deepEqual(getWaitingCalls().map(waiting => waiting.callId), ['call-second']);
+
+    await otherTabBusy(false);
+
+    await waitForState('incoming');
+    assert.equal(getCurrentCall().id, 'call-second');
+});
+
+test('logout marks the staff member offline', async () => {
+    await logout();
+
+    const status = socket.lastSent('staff-status-update');
+    assert.equal(status.status, 'offline');
+    assert.equal(socket.connected, false);
+    socket = await login('staff1');
+});
@@ -0,0 +1,80 @@
+// fetch stub answering the REST calls the calling core makes, shaped like mock/server.mjs
+export const USERS = {
+    user1: { id: 'user-1', phone: '+919876543210', name: 'User1', role: 'USER' },
+    staff1: { id: 'user-staff-1', phone: '+919876543220', name: 'Staff1', role: 'STAFF', staffId: 'staff-1' }
+};
+
+// Unsigned JWT: the client only decodes it
+export function makeToken(claims) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    return `${encode({ alg: 'none', typ: 'JWT' })}.${encode({ exp: Math.floor(Date.now() / 1000) + 3600, ...claims })}.`;
+}
+
+function jsonResponse(status, body) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+export function installFakeBackend() {
+    const backend = {
+        requests: [],
+        nextCallId: 1,
+        // Override per test, e.g. backend.initiate = () => ({ success: false, staffBusy: true }); may return a promise
+        initiate: null,
+        // Same for token refreshes; may return a promise to hold the response back
+        refresh: null
+    };
+
+    const routes = {
+        'POST /auth/login': () => jsonResponse(200, { success: true, message: 'OTP sent' }),
+
+        'POST /auth/login-with-otp': ({ phone }) => {
+            const user = Object.values(USERS).find(candidate => candidate.phone === phone);
+            if (!user) return jsonResponse(404, { success: false, message: 'Request an OTP first' });
+            const token = makeToken({ id: user.id, role: user.role, isStaff: user.role === 'STAFF', staffId: user.staffId });
+            return jsonResponse(200, {
+                success: true,
+                data: { token, refreshToken: `refresh-${user.id}`, user: { id: user.id, role: user.role, name: user.name } }
+            });
+        },
+
+        'POST /auth/refresh-token': async ({ refreshToken }) => {
+            if (backend.refresh) return jsonResponse(200, await backend.refresh({ refreshToken }));
+            const user = Object.values(USERS).find(candidate => refreshToken === `refresh-${candidate.id}`);
+            if (!user) return jsonResponse(401, { success: false, message: 'Invalid refresh token' });
+            // jti keeps each refreshed token distinct from the one it replaces
+            const token = makeToken({ id: user.id, role: user.role, isStaff: user.role === 'STAFF', staffId: user.staffId, jti: backend.requests.length });
+            return jsonResponse(200, { success: true, data: { token, refreshToken } });
+        },
+
+        'POST /auth/logout': () => jsonResponse(200, { success: true }),
+
+        'POST /calls/initiate': async ({ staffId, mode }) => {
+            if (backend.initiate) return jsonResponse(200, await backend.initiate({ staffId, mode }));
+            const call = {
+                id: `call-${backend.nextCallId++}`,
+                userId: USERS.user1.id,
+                staffId,
+                staffUserId: USERS.staff1.id,
+                status: 'RINGING',
+                mode
+            };
+            return jsonResponse(200, { success: true, data: { call } });
+        }
+    };
+
+    globalThis.fetch = async (url, options = {}) => {
+        const { pathname } = new URL(url);
+        const path = pathname.replace(/^\/api\/v1/, '');
+        const method = options.method || 'GET';
+        const body = options.body ? JSON.parse(options.body) : {};
+        backend.requests.push({ method, path, body });
+
+        const route = routes[`${method} ${path}`];
+        if (!route) {
+            return jsonResponse(404, { success: false, message: `No stub for ${method} ${path}` });
+        }
+        return route(body);
+    };
+
+    return backend;
+}
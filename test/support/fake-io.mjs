@@ -0,0 +1,127 @@
+// Stand-in for the socket.io client global `io`: records what the app emits, acks requests the
+// way the server does, and lets a test deliver server events with receive().
+export class FakeSocket {
+    constructor(url, opts = {}) {
+        this.url = url;
+        this.opts = opts;
+        this.auth = opts.auth;
+        this.id = `socket-${Math.random().toString(36).slice(2, 10)}`;
+        this.connected = false;
+        this.sent = [];
+        this.handlers = new Map();
+        this.anyHandlers = [];
+        // event -> reply (object, or function of the payload) for acknowledged emits
+        this.replies = new Map();
+        this.managerHandlers = new Map();
+        this.io = {
+            opts: { query: opts.query, extraHeaders: opts.extraHeaders },
+            on: (event, handler) => {
+                this.managerHandlers.set(event, handler);
+            }
+        };
+    }
+
+    on(event, handler) {
+        const handlers = this.handlers.get(event) || [];
+        handlers.push(handler);
+        this.handlers.set(event, handlers);
+        return this;
+    }
+
+    off(event, handler) {
+        const handlers = this.handlers.get(event) || [];
+        this.handlers.set(event, handlers.filter(other => other !== handler));
+        return this;
+    }
+
+    onAny(handler) {
+        this.anyHandlers.push(handler);
+        return this;
+    }
+
+    emit(event, ...args) {
+        const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+        const payload = args[0];
+        this.sent.push({ event, payload });
+        if (callback) {
+            const reply = this.replies.has(event) ? this.replies.get(event) : { success: true };
+            const response = typeof reply === 'function' ? reply(payload) : reply;
+            if (response !== undefined) {
+                // Acks arrive asynchronously, like they would over the wire
+                setTimeout(() => callback(null, response), 0);
+            }
+        }
+        return this;
+    }
+
+    // socket.timeout(ms).emit(event, payload, (err, response) => ...)
+    timeout(ms) {
+        return {
+            emit: (event, payload, callback) => {
+                let settled = false;
+                const timer = setTimeout(() => {
+                    settled = true;
+                    callback(new Error('operation has timed out'));
+                }, ms);
+                this.emit(event, payload, (error, response) => {
+                    if (settled) return;
+                    clearTimeout(timer);
+                    callback(error, response);
+                });
+            }
+        };
+    }
+
+    // Deliver a server event and wait for the app's (possibly async) handlers
+    async receive(event, ...args) {
+        this.anyHandlers.forEach(handler => handler(event, ...args));
+        const handlers = [...(this.handlers.get(event) || [])];
+        for (const handler of handlers) {
+            await handler(...args);
+        }
+    }
+
+    connect() {
+        this.connected = true;
+        this.receive('connect');
+        return this;
+    }
+
+    disconnect() {
+        if (!this.connected) return this;
+        this.connected = false;
+        this.receive('disconnect', 'io client disconnect');
+        return this;
+    }
+
+    // Everything emitted for one event, oldest first
+    sentOf(event) {
+        return this.sent.filter(message => message.event === event).map(message => message.payload);
+    }
+
+    lastSent(event) {
+        const payloads = this.sentOf(event);
+        return payloads[payloads.length - 1];
+    }
+
+    clearSent() {
+        this.sent = [];
+    }
+}
+
+// Installs globalThis.io; sockets connect on the next tick like autoConnect does
+export function installFakeIo() {
+    const sockets = [];
+    globalThis.io = (url, opts) => {
+        const socket = new FakeSocket(url, opts);
+        sockets.push(socket);
+        if (opts?.autoConnect !== false) {
+            setTimeout(() => socket.connect(), 0);
+        }
+        return socket;
+    };
+    return {
+        sockets,
+        latest: () => sockets[sockets.length - 1] || null
+    };
+}
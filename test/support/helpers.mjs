@@ -0,0 +1,82 @@
+import { TEST_OTP } from '../../public/js/webrtc/config.js';
+import * as events from '../../public/js/webrtc/events.js';
+import { verifyOtp } from '../../public/js/webrtc/auth.js';
+import { initializeSocket } from '../../public/js/webrtc/socket.js';
+import { USERS } from './backend.mjs';
+import { io } from './setup.mjs';
+
+// Poll until check() returns something truthy; fails the test with `what` after `timeout` ms
+export async function waitFor(check, what = 'condition', timeout = 3000) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for ${what}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+export function waitForState(state, timeout) {
+    return waitFor(() => events.getCallState().state === state, `call state "${state}"`, timeout);
+}
+
+// Log in through the stubbed REST API and open the (fake) socket, like CallClient.startSession
+export async function login(userKey) {
+    const result = await verifyOtp(USERS[userKey].phone, TEST_OTP);
+    if (!result.success) {
+        throw new Error(`Login failed: ${result.message}`);
+    }
+    initializeSocket();
+    const socket = io.latest();
+    await waitFor(() => socket.connected, 'socket connect');
+    return socket;
+}
+
+// Payloads as they arrive from the server (stamped with a fresh messageId like real signaling)
+let serverMessageCount = 0;
+
+export function fromServer(payload) {
+    return { ...payload, messageId: `server-${++serverMessageCount}` };
+}
+
+export function hostCandidate(port = 40000) {
+    return {
+        candidate: `candidate:1 1 udp 2122260223 10.0.0.2 ${port} typ host`,
+        sdpMid: '0',
+        sdpMLineIndex: 0
+    };
+}
+
+export function incomingCall(callId, caller = { id: USERS.user1.id, name: USERS.user1.name }) {
+    return fromServer({
+        callId,
+        caller,
+        staffUserId: USERS.staff1.id,
+        callDetails: { mode: 'video' }
+    });
+}
+
+// A caller-side offer with audio and video, as the fake peer connection would create it
+export function remoteOffer() {
+    return {
+        type: 'offer',
+        sdp: [
+            'v=0', 'o=- 1 2 IN IP4 127.0.0.1', 's=-', 't=0 0',
+            'm=audio 9 UDP/TLS/RTP/SAVPF 111', 'a=mid:0', 'a=rtpmap:111 opus/48000/2', 'a=sendrecv',
+            'm=video 9 UDP/TLS/RTP/SAVPF 96', 'a=mid:1', 'a=rtpmap:96 VP8/90000', 'a=sendrecv'
+        ].join('\r\n') + '\r\n'
+    };
+}
+
+export function remoteAnswer() {
+    return { ...remoteOffer(), type: 'answer' };
+}
+
+// Collect every emission of an event bus type until stop() is called
+export function record(type) {
+    const seen = [];
+    const stop = events.on(type, detail => seen.push(detail));
+    return { seen, stop };
+}
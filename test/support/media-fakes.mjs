@@ -0,0 +1,391 @@
+// In-memory stand-ins for the browser media and WebRTC APIs the calling modules use.
+// Session descriptions are plain SDP text with one m-line per transceiver; ICE "connects" on its own
+// once both descriptions are applied and signaling is stable, like a real peer on a good network.
+let nextId = 1;
+
+function makeEvent(type, fields = {}) {
+    return Object.assign(new Event(type), fields);
+}
+
+export class FakeMediaStreamTrack extends EventTarget {
+    constructor(kind, { deviceId = `${kind}-default`, label = `Fake ${kind}` } = {}) {
+        super();
+        this.kind = kind;
+        this.id = `track-${nextId++}`;
+        this.label = label;
+        this.deviceId = deviceId;
+        this.enabled = true;
+        this.muted = false;
+        this.readyState = 'live';
+        this.contentHint = '';
+    }
+
+    getSettings() {
+        return { deviceId: this.deviceId };
+    }
+
+    getConstraints() {
+        return {};
+    }
+
+    stop() {
+        this.readyState = 'ended';
+    }
+}
+
+export class FakeMediaStream {
+    constructor(tracks = []) {
+        this.id = `stream-${nextId++}`;
+        this.tracks = [...tracks];
+    }
+
+    get active() {
+        return this.tracks.some(track => track.readyState === 'live');
+    }
+
+    getTracks() {
+        return [...this.tracks];
+    }
+
+    getAudioTracks() {
+        return this.tracks.filter(track => track.kind === 'audio');
+    }
+
+    getVideoTracks() {
+        return this.tracks.filter(track => track.kind === 'video');
+    }
+
+    addTrack(track) {
+        if (!this.tracks.includes(track)) this.tracks.push(track);
+    }
+
+    removeTrack(track) {
+        this.tracks = this.tracks.filter(other => other !== track);
+    }
+}
+
+export class FakeRTCSessionDescription {
+    constructor({ type, sdp = '' }) {
+        this.type = type;
+        this.sdp = sdp;
+    }
+
+    toJSON() {
+        return { type: this.type, sdp: this.sdp };
+    }
+}
+
+export class FakeRTCIceCandidate {
+    constructor({ candidate, sdpMid = null, sdpMLineIndex = null }) {
+        this.candidate = candidate;
+        this.sdpMid = sdpMid;
+        this.sdpMLineIndex = sdpMLineIndex;
+        this.type = / typ (\w+)/.exec(candidate)?.[1] || 'host';
+        this.protocol = 'udp';
+    }
+
+    toJSON() {
+        return { candidate: this.candidate, sdpMid: this.sdpMid, sdpMLineIndex: this.sdpMLineIndex };
+    }
+}
+
+class FakeRTCRtpSender {
+    constructor(track) {
+        this.track = track;
+        this.parameters = { encodings: [{}] };
+        this.streams = [];
+    }
+
+    async replaceTrack(track) {
+        this.track = track;
+    }
+
+    getParameters() {
+        return structuredClone(this.parameters);
+    }
+
+    async setParameters(parameters) {
+        this.parameters = parameters;
+    }
+
+    setStreams(...streams) {
+        this.streams = streams;
+    }
+}
+
+class FakeRTCRtpTransceiver {
+    constructor(kind, { direction = 'sendrecv', track = null } = {}) {
+        this.kind = kind;
+        this.mid = null;
+        this.direction = direction;
+        this.currentDirection = null;
+        this.sender = new FakeRTCRtpSender(track);
+        this.receiver = { track: new FakeMediaStreamTrack(kind, { label: `Remote ${kind}` }) };
+    }
+
+    setCodecPreferences() {}
+}
+
+export class FakeRTCPeerConnection extends EventTarget {
+    static instances = [];
+
+    constructor(configuration = {}) {
+        super();
+        this.configuration = configuration;
+        this.signalingState = 'stable';
+        this.iceConnectionState = 'new';
+        this.connectionState = 'new';
+        this.iceGatheringState = 'new';
+        this.localDescription = null;
+        this.remoteDescription = null;
+        this.transceivers = [];
+        this.addedCandidates = [];
+        this.iceRestarts = 0;
+        this.remoteStream = new FakeMediaStream();
+        FakeRTCPeerConnection.instances.push(this);
+    }
+
+    static latest() {
+        return FakeRTCPeerConnection.instances[FakeRTCPeerConnection.instances.length - 1] || null;
+    }
+
+    setConfiguration(configuration) {
+        this.configuration = configuration;
+    }
+
+    addTrack(track) {
+        const reusable = this.transceivers.find(t => t.kind === track.kind && !t.sender.track && t.currentDirection === null);
+        const transceiver = reusable || this.addTransceiver(track.kind);
+        transceiver.sender.track = track;
+        transceiver.direction = 'sendrecv';
+        return transceiver.sender;
+    }
+
+    addTransceiver(kind, init = {}) {
+        const transceiver = new FakeRTCRtpTransceiver(kind, init);
+        this.transceivers.push(transceiver);
+        return transceiver;
+    }
+
+    getTransceivers() {
+        return [...this.transceivers];
+    }
+
+    getSenders() {
+        return this.transceivers.map(transceiver => transceiver.sender);
+    }
+
+    getReceivers() {
+        return this.transceivers.map(transceiver => transceiver.receiver);
+    }
+
+    buildSdp() {
+        const lines = ['v=0', `o=- ${nextId++} 2 IN IP4 127.0.0.1`, 's=-', 't=0 0'];
+        this.transceivers.forEach((transceiver, index) => {
+            if (transceiver.kind === 'audio') {
+                lines.push('m=audio 9 UDP/TLS/RTP/SAVPF 111', `a=mid:${index}`, 'a=rtpmap:111 opus/48000/2', 'a=fmtp:111 minptime=10');
+            } else {
+                lines.push('m=video 9 UDP/TLS/RTP/SAVPF 96', `a=mid:${index}`, 'a=rtpmap:96 VP8/90000');
+            }
+            lines.push(`a=${transceiver.direction}`);
+        });
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    async createOffer() {
+        this.assertOpen();
+        return new FakeRTCSessionDescription({ type: 'offer', sdp: this.buildSdp() });
+    }
+
+    async createAnswer() {
+        this.assertOpen();
+        if (this.signalingState !== 'have-remote-offer') {
+            throw new DOMException(`Cannot create an answer in state ${this.signalingState}`, 'InvalidStateError');
+        }
+        return new FakeRTCSessionDescription({ type: 'answer', sdp: this.buildSdp() });
+    }
+
+    async setLocalDescription(description) {
+        this.assertOpen();
+        if (!description) {
+            description = this.signalingState === 'have-remote-offer' ? await this.createAnswer() : await this.createOffer();
+        }
+        if (description.type === 'offer') {
+            this.setSignalingState('have-local-offer');
+        } else if (description.type === 'answer') {
+            if (this.signalingState !== 'have-remote-offer') {
+                throw new DOMException(`Cannot set a local answer in state ${this.signalingState}`, 'InvalidStateError');
+            }
+            this.setSignalingState('stable');
+        }
+        this.localDescription = new FakeRTCSessionDescription(description);
+        this.transceivers.forEach((transceiver, index) => {
+            transceiver.mid = String(index);
+        });
+        this.gatherCandidates();
+        this.maybeConnect();
+    }
+
+    async setRemoteDescription(description) {
+        this.assertOpen();
+        if (description.type === 'offer') {
+            // A pending local offer is rolled back implicitly (perfect negotiation)
+            this.setSignalingState('have-remote-offer');
+        } else if (description.type === 'answer') {
+            if (this.signalingState !== 'have-local-offer') {
+                throw new DOMException(`Cannot set a remote answer in state ${this.signalingState}`, 'InvalidStateError');
+            }
+            this.setSignalingState('stable');
+        }
+        this.remoteDescription = new FakeRTCSessionDescription(description);
+        this.receiveRemoteTracks(description.sdp);
+        this.maybeConnect();
+    }
+
+    async addIceCandidate(candidate) {
+        this.assertOpen();
+        if (!this.remoteDescription) {
+            throw new DOMException('The remote description was null', 'InvalidStateError');
+        }
+        this.addedCandidates.push(candidate);
+    }
+
+    restartIce() {
+        this.iceRestarts++;
+    }
+
+    async getStats() {
+        return new Map();
+    }
+
+    close() {
+        this.signalingState = 'closed';
+        this.iceConnectionState = 'closed';
+        this.connectionState = 'closed';
+    }
+
+    // Test hook: drive the ICE state by hand (e.g. 'disconnected', 'failed')
+    simulateIceState(state) {
+        this.iceConnectionState = state;
+        this.connectionState = state === 'completed' ? 'connected' : state;
+        this.fire('iceconnectionstatechange', 'oniceconnectionstatechange');
+        this.fire('connectionstatechange', 'onconnectionstatechange');
+    }
+
+    assertOpen() {
+        if (this.signalingState === 'closed') {
+            throw new DOMException('The RTCPeerConnection is closed', 'InvalidStateError');
+        }
+    }
+
+    setSignalingState(state) {
+        this.signalingState = state;
+        this.fire('signalingstatechange', 'onsignalingstatechange');
+    }
+
+    fire(type, handlerName, fields) {
+        const event = makeEvent(type, fields);
+        if (typeof this[handlerName] === 'function') {
+            this[handlerName](event);
+        }
+        this.dispatchEvent(event);
+    }
+
+    // Remote m-lines we have no transceiver for yet get one, and their tracks are announced
+    receiveRemoteTracks(sdp) {
+        const kinds = [...sdp.matchAll(/^m=(audio|video) /gm)].map(match => match[1]);
+        kinds.forEach((kind, index) => {
+            let transceiver = this.transceivers[index];
+            if (!transceiver) {
+                transceiver = this.addTransceiver(kind, { direction: 'recvonly' });
+            }
+            if (transceiver.currentDirection === null) {
+                transceiver.currentDirection = transceiver.direction;
+                this.remoteStream.addTrack(transceiver.receiver.track);
+                this.fire('track', 'ontrack', { track: transceiver.receiver.track, streams: [this.remoteStream], transceiver });
+            }
+        });
+    }
+
+    // One host candidate per local description, then end-of-candidates
+    gatherCandidates() {
+        if (this.iceGatheringState !== 'new') return;
+        this.iceGatheringState = 'gathering';
+        setTimeout(() => {
+            if (this.signalingState === 'closed') return;
+            const candidate = new FakeRTCIceCandidate({
+                candidate: `candidate:${nextId++} 1 udp 2122260223 127.0.0.1 ${50000 + nextId} typ host`,
+                sdpMid: '0',
+                sdpMLineIndex: 0
+            });
+            this.fire('icecandidate', 'onicecandidate', { candidate });
+            this.iceGatheringState = 'complete';
+            this.fire('icegatheringstatechange', 'onicegatheringstatechange');
+            this.fire('icecandidate', 'onicecandidate', { candidate: null });
+        }, 0);
+    }
+
+    maybeConnect() {
+        if (this.iceConnectionState !== 'new' || this.signalingState !== 'stable' || !this.localDescription || !this.remoteDescription) {
+            return;
+        }
+        setTimeout(() => {
+            if (this.signalingState === 'closed') return;
+            this.simulateIceState('checking');
+            setTimeout(() => {
+                if (this.signalingState === 'closed') return;
+                this.simulateIceState('connected');
+            }, 10);
+        }, 10);
+    }
+}
+
+// Microphone, camera and speaker that always grant access; getUserMedia calls are recorded
+export function createFakeMediaDevices() {
+    const devices = [
+        { deviceId: 'mic-1', groupId: 'group-1', kind: 'audioinput', label: 'Fake microphone' },
+        { deviceId: 'camera-1', groupId: 'group-2', kind: 'videoinput', label: 'Fake camera' },
+        { deviceId: 'speaker-1', groupId: 'group-1', kind: 'audiooutput', label: 'Fake speaker' }
+    ];
+
+    return {
+        getUserMediaCalls: [],
+
+        async getUserMedia(constraints) {
+            this.getUserMediaCalls.push(constraints);
+            const tracks = [];
+            if (constraints.audio) tracks.push(new FakeMediaStreamTrack('audio', { deviceId: 'mic-1', label: 'Fake microphone' }));
+            if (constraints.video) tracks.push(new FakeMediaStreamTrack('video', { deviceId: 'camera-1', label: 'Fake camera' }));
+            return new FakeMediaStream(tracks);
+        },
+
+        async getDisplayMedia() {
+            return new FakeMediaStream([new FakeMediaStreamTrack('video', { label: 'Fake screen' })]);
+        },
+
+        async enumerateDevices() {
+            return devices.map(device => ({ ...device }));
+        },
+
+        addEventListener() {},
+        removeEventListener() {}
+    };
+}
+
+// Put the fakes where the calling modules look for them
+export function installMediaFakes() {
+    const mediaDevices = createFakeMediaDevices();
+    Object.assign(globalThis, {
+        MediaStream: FakeMediaStream,
+        RTCPeerConnection: FakeRTCPeerConnection,
+        RTCSessionDescription: FakeRTCSessionDescription,
+        RTCIceCandidate: FakeRTCIceCandidate
+    });
+    // Node 21+ has a read-only navigator of its own
+    Object.defineProperty(globalThis, 'navigator', {
+        value: { mediaDevices, userAgent: 'node' },
+        configurable: true,
+        writable: true
+    });
+    return { mediaDevices, peerConnections: FakeRTCPeerConnection.instances };
+}
@@ -0,0 +1,28 @@
+// Import first in every unit test file: the calling modules read these globals when they load.
+import { installMediaFakes } from './media-fakes.mjs';
+import { installFakeIo } from './fake-io.mjs';
+import { installFakeBackend } from './backend.mjs';
+
+function createStorage(initial = {}) {
+    const items = new Map(Object.entries(initial));
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+        clear: () => items.clear()
+    };
+}
+
+// The mock profile has the short ICE gathering wait and the seeded test accounts
+globalThis.localStorage = createStorage({ 'takemate.env': 'mock' });
+globalThis.sessionStorage = createStorage();
+
+// The modules log every step; TEST_VERBOSE=1 shows it on stderr (stdout carries the runner's reports)
+const log = process.env.TEST_VERBOSE ? console.error.bind(console) : () => {};
+for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+    console[method] = log;
+}
+
+export const media = installMediaFakes();
+export const io = installFakeIo();
+export const backend = installFakeBackend();
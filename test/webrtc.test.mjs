@@ -0,0 +1,222 @@
+// Caller side of webrtc.js: offer/answer, ICE candidates both ways, cancel and cleanup
+import { media, backend } from './support/setup.mjs';
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startCall, endCall, cancelCall, startScreenShare, getCurrentCall, getPeerConnection, getLocalStream, getQueuedCandidateCount } from '../public/js/webrtc/webrtc.js';
+import { resetCall } from '../public/js/webrtc/socket.js';
+import { logout } from '../public/js/webrtc/auth.js';
+import { getCallState } from '../public/js/webrtc/events.js';
+import { USERS } from './support/backend.mjs';
+import { login, waitFor, waitForState, fromServer, hostCandidate, remoteAnswer, record } from './support/helpers.mjs';
+
+let socket;
+
+before(async () => {
+    socket = await login('user1');
+});
+
+afterEach(() => {
+    resetCall();
+    backend.initiate = null;
+    socket.clearSent();
+});
+
+after(async () => {
+    await logout();
+});
+
+async function placeCall() {
+    await startCall('staff-1');
+    const call = getCurrentCall();
+    assert.ok(call, 'the call is stored once the backend created it');
+    return call;
+}
+
+async function answerCall(call) {
+    await socket.receive('call-accepted', fromServer({ callId: call.id, acceptedByName: 'Staff1' }));
+    await socket.receive('answer', fromServer({ callId: call.id, answer: remoteAnswer(), from: USERS.staff1.id, fromName: 'Staff1' }));
+}
+
+test('startCall creates the call over REST and sends an offer to the staff member', async () => {
+    const call = await placeCall();
+
+    const initiate = backend.requests.findLast(request => request.path === '/calls/initiate');
+    assert.deepEqual(initiate.body, { staffId: 'staff-1', mode: 'video' });
+    assert.equal(media.mediaDevices.getUserMediaCalls.length > 0, true);
+
+    assert.deepEqual(socket.lastSent('join-call'), { callId: call.id, v: 1 });
+    const offer = await waitFor(() => socket.lastSent('offer'), 'offer');
+    assert.equal(offer.callId, call.id);
+    assert.equal(offer.targetUserId, USERS.staff1.id);
+    assert.equal(offer.offer.type, 'offer');
+    assert.match(offer.offer.sdp, /m=audio/);
+    assert.match(offer.offer.sdp, /m=video/);
+    assert.equal(typeof offer.messageId, 'string');
+
+    assert.equal(getCallState().state, 'calling');
+});
+
+test('an audio-only call is created as audio and sends no video', async () => {
+    const captures = media.mediaDevices.getUserMediaCalls.length;
+
+    await startCall('staff-1', { mode: 'audio' });
+
+    const initiate = backend.requests.findLast(request => request.path === '/calls/initiate');
+    assert.equal(initiate.body.mode, 'audio');
+    assert.deepEqual(media.mediaDevices.getUserMediaCalls.slice(captures).map(constraints => constraints.video), [false],
+        'the camera is never opened');
+    assert.equal(getLocalStream().getVideoTracks().length, 0);
+    const offer = await waitFor(() => socket.lastSent('offer'), 'offer');
+    assert.match(offer.offer.sdp, /m=video[^]*a=inactive/);
+});
+
+test('an audio-only call does not share the screen without switching to video', async () => {
+    await startCall('staff-1', { mode: 'audio' });
+    const offers = socket.sentOf('offer').length;
+
+    assert.equal(await startScreenShare(), false);
+
+    assert.equal(getLocalStream().getVideoTracks().length, 0);
+    assert.equal(socket.sentOf('offer').length, offers, 'no renegotiation to send video');
+});
+
+test('the answer connects the call and reports call-start', async () => {
+    const call = await placeCall();
+    const connection = record('connection');
+
+    await answerCall(call);
+
+    assert.equal(getPeerConnection().remoteDescription.type, 'answer');
+    await waitForState('connected');
+    const callStart = await waitFor(() => socket.lastSent('call-start'), 'call-start');
+    assert.equal(callStart.callId, call.id);
+    assert.equal(callStart.iceState, 'connected');
+    assert.ok(connection.seen.some(({ iceConnectionState }) => iceConnectionState === 'connected'));
+    connection.stop();
+});
+
+test('local ICE candidates are sent for the current call', async () => {
+    const call = await placeCall();
+
+    const candidate = await waitFor(() => socket.lastSent('ice-candidate'), 'local ICE candidate');
+    assert.equal(candidate.callId, call.id);
+    assert.equal(candidate.targetUserId, USERS.staff1.id);
+    assert.match(candidate.candidate.candidate, /typ host/);
+});
+
+test('local ICE candidates gathered before the backend created the call are sent after the offer', async () => {
+    // Gathering starts with the offer, before /calls/initiate has answered with the call id
+    backend.initiate = async ({ staffId, mode }) => {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        const call = { id: 'call-slow', userId: USERS.user1.id, staffId, staffUserId: USERS.staff1.id, status: 'RINGING', mode };
+        return { success: true, data: { call } };
+    };
+
+    await startCall('staff-1');
+
+    const signaling = socket.sent.filter(({ event }) => event === 'offer' || event === 'ice-candidate');
+    assert.deepEqual(signaling.map(({ event, payload }) => [event, payload.callId]), [['offer', 'call-slow'], ['ice-candidate', 'call-slow']]);
+    const candidate = socket.lastSent('ice-candidate');
+    assert.equal(candidate.targetUserId, USERS.staff1.id);
+    assert.match(candidate.candidate.candidate, /typ host/);
+});
+
+test('remote ICE candidates are added once the answer is in', async () => {
+    const call = await placeCall();
+    await answerCall(call);
+
+    await socket.receive('ice-candidate', fromServer({ callId: call.id, candidate: hostCandidate(40001) }));
+
+    const added = getPeerConnection().addedCandidates.map(candidate => candidate.candidate);
+    assert.deepEqual(added, [hostCandidate(40001).candidate]);
+});
+
+test('ICE candidates that arrive before the answer are added after it', async () => {
+    const call = await placeCall();
+
+    await socket.receive('ice-candidate', fromServer({ callId: call.id, candidate: hostCandidate(40002) }));
+    assert.equal(getPeerConnection().addedCandidates.length, 0);
+    await answerCall(call);
+
+    await waitFor(() => getPeerConnection().addedCandidates.length === 1, 'early candidate added');
+    assert.equal(getPeerConnection().addedCandidates[0].candidate, hostCandidate(40002).candidate);
+});
+
+test('an answer with nothing to answer is ignored', async () => {
+    const call = await placeCall();
+    await answerCall(call);
+    await waitForState('connected');
+    const pc = getPeerConnection();
+
+    await socket.receive('answer', fromServer({ callId: call.id, answer: remoteAnswer(), from: USERS.staff1.id, fromName: 'Staff1' }));
+
+    assert.equal(getPeerConnection(), pc);
+    assert.equal(pc.signalingState, 'stable');
+    assert.equal(getCallState().state, 'connected');
+});
+
+test('a busy staff member leaves no call behind', async () => {
+    backend.initiate = () => ({ success: false, staffBusy: true, message: 'Staff1 is busy' });
+    const status = record('status');
+
+    await startCall('staff-1');
+
+    assert.equal(getCurrentCall(), null);
+    assert.equal(socket.sentOf('offer').length, 0);
+    assert.ok(status.seen.some(({ message, isError }) => isError && /busy/.test(message)));
+    status.stop();
+});
+
+test('cancelling a ringing call tells the staff member and releases everything', async () => {
+    const call = await placeCall();
+    const pc = getPeerConnection();
+    const tracks = getLocalStream().getTracks();
+    // The staff member's candidates can arrive before their answer
+    await socket.receive('ice-candidate', fromServer({ callId: call.id, candidate: hostCandidate(), from: USERS.staff1.id }));
+    assert.equal(getQueuedCandidateCount(call.id), 1);
+
+    cancelCall();
+
+    const cancel = await waitFor(() => socket.lastSent('call-cancel'), 'call-cancel');
+    assert.equal(cancel.callId, call.id);
+    assert.equal(cancel.reason, 'cancelled');
+    assert.deepEqual(socket.lastSent('leave-call'), { callId: call.id, v: 1 });
+    assert.equal(getQueuedCandidateCount(call.id), 0);
+    assert.equal(pc.signalingState, 'closed');
+    assert.ok(tracks.every(track => track.readyState === 'ended'));
+    assert.equal(getCurrentCall(), null);
+    assert.equal(getCallState().state, 'idle');
+});
+
+test('endCall sends call-end, leaves the room and cleans up media and the peer connection', async () => {
+    const call = await placeCall();
+    await answerCall(call);
+    await waitForState('connected');
+    const pc = getPeerConnection();
+    const tracks = getLocalStream().getTracks();
+
+    endCall();
+
+    const end = await waitFor(() => socket.lastSent('call-end'), 'call-end');
+    assert.equal(end.callId, call.id);
+    assert.deepEqual(socket.lastSent('leave-call'), { callId: call.id, v: 1 });
+    assert.equal(pc.signalingState, 'closed');
+    assert.ok(tracks.every(track => track.readyState === 'ended'));
+    assert.equal(getPeerConnection(), null);
+    assert.equal(getLocalStream(), null);
+    assert.equal(getCurrentCall(), null);
+    assert.equal(getCallState().state, 'idle');
+});
+
+test('call-ended from the server tears the call down', async () => {
+    const call = await placeCall();
+    await answerCall(call);
+    await waitForState('connected');
+
+    await socket.receive('call-ended', fromServer({ callId: call.id, duration: 12, cost: 2 }));
+
+    assert.equal(getCurrentCall(), null);
+    assert.equal(getPeerConnection(), null);
+    assert.equal(getCallState().state, 'idle');
+    assert.equal(socket.sentOf('call-end').length, 0, 'the server already knows');
+});